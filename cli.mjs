@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+* @file cli.mjs
+* @author Etienne Cochard 
+* @copyright (c) 2022 R-libre ingenierie, all rights reserved.
+*
+* @description x4build command line: x4build help
+* thin wrapper of the x4build.mjs api
+*
+**/
+
+import colors from "ansi-colors"
+import { program } from 'commander'
+
+import { VERSION, REPORTERS, setReporter, create, build, test, clean, pack, templateAdd, templateRemove, templateList } from './x4build.mjs';
+
+/**
+ * reporter & banner, the screen is only cleared by the pretty reporter
+ */
+
+function start( options ) {
+	setReporter( options.reporter );
+
+	if( options.reporter=="json" ) {
+		return;
+	}
+
+	if( options.clear && options.reporter=="pretty" && process.stdout.isTTY ) {
+		process.stdout.write( "\u001b[2J" );
+	}
+
+	console.log( colors.cyan("\n\n\nx4build "+VERSION+"\n") );
+}
+
+/**
+ * api errors are displayed, the process exits
+ */
+
+function run( action ) {
+	return async ( ...args ) => {
+		try {
+			await action( ...args );
+		}
+		catch( e ) {
+			console.error( colors.red( e.message ?? e ) );
+			process.exit( -1 );
+		}
+	}
+}
+
+/**
+ * the build context is released when it has nothing more to do
+ */
+
+async function buildCommand( options ) {
+	const ctx = await build( { ...options, interactive: true } );
+
+	// watch mode: errors are fixed while running
+	if( !ctx.persistent ) {
+		await ctx.dispose( );
+
+		if( ctx.result.errors ) {
+			process.exitCode = 1;
+		}
+	}
+}
+
+/**
+ * exit code of the test run (watch mode: ctrl+c)
+ */
+
+async function testCommand( files, options ) {
+	const ctx = await test( { ...options, files } );
+
+	if( !ctx.persistent ) {
+		await ctx.dispose( );
+		process.exitCode = ctx.result.code;
+	}
+}
+
+program.name( 'x4build' )
+	.version( VERSION )
+	.option( '--reporter <reporter>', `output format - one of "${REPORTERS.join('", "')}"`, 'pretty' )
+	.option( '--no-clear', 'do not clear the terminal' )
+	.hook( 'preAction', run( ( ) => start( program.opts( ) ) ) );
+
+program.command( 'create' )
+		.description( 'create a new project' )
+		.argument( 'name', 'project name' )
+		.option( '--type <type>', 'project type - one of "html", "node", "electron", "server" or a registered template name' )
+		.option('--template <source>', 'template to use: local folder, .tar.gz file, git or tarball url' )
+		.option('--offline', 'use the cached templates, do not download' )
+		.option('--overwrite', 'allow creation of projet folder even if the folder exists' )
+		.option('--no-install', 'do not install dependencies' )
+		.option('--pm <pm>', 'package manager used to install dependencies - one of "npm", "pnpm" or "yarn"', 'npm' )
+		.action( run( ( name, options ) => create( { ...options, name } ) ) )
+
+const template = program.command( 'template' )
+		.description( 'manage named project templates' );
+
+template.command( 'add' )
+		.description( 'register a template usable with create --type=<name>' )
+		.argument( 'name', 'template name' )
+		.argument( 'source', 'local folder, .tar.gz file, git or tarball url' )
+		.option( '--type <type>', 'project type of the template - one of "html", "node", "electron" or "server"' )
+		.action( run( templateAdd ) )
+
+template.command( 'remove' )
+		.description( 'unregister a template' )
+		.argument( 'name', 'template name' )
+		.action( run( templateRemove ) )
+
+template.command( 'list' )
+		.description( 'list available templates' )
+		.action( run( templateList ) )
+
+program.command( "build" )
+		.description( 'build the project' )
+		.option( '--release', 'release mode' )
+		.option('--serve', 'start a http server (only html mode)' )
+		.option('--hmr', 'handle Hot Module Replacement (hml and electron mode)' )
+		.option('--watch', 'rebuild when source change' )
+		.option('--monitor [path]', 'restart node when build done (node mode)' )
+		.option('--run', 'start electron, restart it when the main process changes (electron mode)' )
+		.option('--port <port>', 'http server port, next free port is used if busy (default 9876)' )
+		.option('--host <host>', 'http server address, use 0.0.0.0 for LAN access (default 127.0.0.1)' )
+		.option('--https', 'serve files over https (self-signed certificate if no --cert/--key)' )
+		.option('--cert <file>', 'https certificate file (pem)' )
+		.option('--key <file>', 'https private key file (pem)' )
+		.option('--clean', 'remove files of outdir not produced by the build (default in release mode if x4build.cleanBeforeRelease)' )
+		.option('--analyze', 'write the metafile, print the bundle content and write analyze.html in outdir' )
+		.option('--typecheck', 'check the types with the project typescript (default in release mode)' )
+		.option('--no-typecheck', 'do not check the types' )
+		.action( run( buildCommand ) )
+
+program.command( "analyze" )
+		.description( 'build the release and analyze the bundle content' )
+		.option( '--debug', 'analyze the debug build' )
+		.action( run( ( options ) => buildCommand( { release: !options.debug, analyze: true } ) ) )
+
+program.command( "test" )
+		.description( 'bundle the *.test.ts files and run them with node:test' )
+		.argument( '[files...]', 'only run the test files containing one of these names' )
+		.option( '--name <pattern>', 'only run the tests whose name matches the pattern (regexp)' )
+		.option( '--watch', 'run the tests again when a file changes' )
+		.action( run( testCommand ) )
+
+program.command( "clean" )
+		.description( 'remove all files of the output folder' )
+		.action( run( clean ) )
+
+program.command( "pack" )
+		.description( 'archive the output folder as <name>-<version>.tar.gz or .zip' )
+		.option( '--format <format>', 'archive format: "tar.gz" or "zip"', 'tar.gz' )
+		.option( '--out <dir>', 'folder of the archive (default: project folder)' )
+		.action( run( pack ) )
+
+program.parse();
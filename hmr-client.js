@@ -0,0 +1,172 @@
+/**
+* @file hmr-client.js
+* @author Etienne Cochard
+* @copyright (c) 2022 R-libre ingenierie, all rights reserved.
+*
+* @description x4build hot module replacement client
+* injected by the dev server in html pages when --hmr is used,
+* electron windows must load it from the hmr server:
+* 	<script src="http://127.0.0.1:9876/__x4hmr.js"></script>
+*
+**/
+
+(function( ) {
+
+	if( window.__x4hmr ) {
+		return;
+	}
+
+	window.__x4hmr = true;
+
+	// connect to the server that sent this script
+	const origin = new URL( document.currentScript ? document.currentScript.src : location.href );
+	const socketUrl = (origin.protocol=="https:" ? "wss://" : "ws://")+origin.host+"/__x4hmr";
+
+	let connected = false;
+
+	function connect( ) {
+		const ws = new WebSocket( socketUrl );
+
+		ws.onopen = ( ) => {
+			// server restarted while we were disconnected: the page is outdated
+			if( connected ) {
+				location.reload( );
+			}
+		}
+
+		ws.onmessage = ( ev ) => {
+			const msg = JSON.parse( ev.data );
+
+			switch( msg.type ) {
+				case "connected": {
+					connected = true;
+					console.log( "[x4hmr] connected" );
+					break;
+				}
+
+				case "reload": {
+					location.reload( );
+					break;
+				}
+
+				case "css": {
+					hideErrors( );
+					refreshCSS( msg.files );
+					break;
+				}
+
+				case "error": {
+					showErrors( msg.errors );
+					break;
+				}
+
+				case "clear": {
+					hideErrors( );
+					break;
+				}
+			}
+		}
+
+		ws.onclose = ( ) => {
+			setTimeout( connect, 1000 );
+		}
+	}
+
+	/**
+	 * replace the changed stylesheets
+	 * when an image or a font changed, all stylesheets are reloaded
+	 */
+
+	function refreshCSS( files ) {
+		const all = files.some( f => !f.endsWith(".css") );
+		const links = document.querySelectorAll( 'link[rel="stylesheet"]' );
+
+		for( const link of links ) {
+			const href = new URL( link.href, location.href );
+
+			if( all || files.some( f => href.pathname.endsWith("/"+f) ) ) {
+				href.searchParams.set( "x4hmr", Date.now() );
+
+				// the old sheet is removed when the new one is loaded: no flash
+				const clone = link.cloneNode( );
+				clone.href = href.toString( );
+				clone.onload = clone.onerror = ( ) => link.remove( );
+				link.after( clone );
+			}
+		}
+
+		console.log( "[x4hmr] css updated" );
+	}
+
+	/**
+	 * build errors overlay
+	 * shown in a shadow root to be isolated from the application styles
+	 */
+
+	let overlay = null;
+
+	const OVERLAY_STYLE = `
+		:host { position: fixed; inset: 0; z-index: 2147483647; }
+		.back { position: absolute; inset: 0; background: rgba(0,0,0,0.66); overflow: auto; font: 13px/1.4 Menlo, Consolas, monospace; }
+		.box { margin: 40px auto; max-width: 960px; background: #1e1e1e; color: #ddd; border-top: 4px solid #e04040; padding: 16px 24px; box-shadow: 0 4px 24px rgba(0,0,0,0.5); }
+		.title { color: #ff6060; font-size: 15px; font-weight: bold; margin-bottom: 12px; display: flex; }
+		.title span { flex: 1; }
+		.close { cursor: pointer; background: none; border: none; color: #aaa; font-size: 18px; }
+		.error { margin: 12px 0; }
+		.file { color: #40b0ff; }
+		.msg { color: #fff; white-space: pre-wrap; }
+		pre { background: #111; padding: 8px 12px; overflow: auto; color: #e0c070; }
+		.tip { color: #888; margin-top: 12px; }
+	`;
+
+	function showErrors( errors ) {
+		hideErrors( );
+
+		const escape = ( t ) => String(t).replace( /[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c] );
+
+		let html = `<style>${OVERLAY_STYLE}</style><div class="back"><div class="box">`;
+		html += `<div class="title"><span>${errors.length} build error${errors.length>1 ? "s" : ""}</span><button class="close" title="close (Esc)">&#x2715;</button></div>`;
+
+		for( const err of errors ) {
+			html += `<div class="error">`;
+			if( err.file ) {
+				html += `<div class="file">${escape(err.file)}:${err.line}:${err.column+1}</div>`;
+			}
+
+			html += `<div class="msg">${escape(err.message)}</div>`;
+			if( err.frame ) {
+				html += `<pre>${escape(err.frame)}</pre>`;
+			}
+
+			html += `</div>`;
+		}
+
+		html += `<div class="tip">the page will be updated when the errors are fixed.</div></div></div>`;
+
+		overlay = document.createElement( "x4hmr-overlay" );
+		const root = overlay.attachShadow( { mode: "open" } );
+		root.innerHTML = html;
+
+		root.querySelector( ".close" ).onclick = hideErrors;
+		document.addEventListener( "keydown", onKey );
+		document.documentElement.appendChild( overlay );
+
+		console.error( "[x4hmr] build failed", errors );
+	}
+
+	function hideErrors( ) {
+		if( overlay ) {
+			overlay.remove( );
+			overlay = null;
+			document.removeEventListener( "keydown", onKey );
+		}
+	}
+
+	function onKey( ev ) {
+		if( ev.key=="Escape" ) {
+			hideErrors( );
+		}
+	}
+
+	connect( );
+})( );
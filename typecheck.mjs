@@ -0,0 +1,96 @@
+/**
+* @file typecheck.mjs
+* @author Etienne Cochard
+* @copyright (c) 2022 R-libre ingenierie, all rights reserved.
+*
+* @description x4build type checker, runs in a worker thread
+* each message checks the project and answers { errors, time } or { failure }
+* the previous program is kept: only changed files are checked again (watch mode)
+*
+**/
+
+import * as path from 'path';
+import { parentPort, workerData } from 'worker_threads';
+import { createRequire } from 'module';
+
+// typescript of the project
+const require = createRequire( import.meta.url );
+const ts = require( workerData.typescript );
+
+// the checker never writes files
+const OVERRIDES = {
+	noEmit: true,
+	incremental: false,
+	composite: false,
+	declaration: false,
+	emitDeclarationOnly: false,
+};
+
+let builder = null;
+const sources = new Map( );		// fname -> { text, file }
+
+function flatten( message ) {
+	return ts.flattenDiagnosticMessageText( message, "\n" );
+}
+
+function check( ) {
+
+	const config = ts.getParsedCommandLineOfConfigFile( workerData.tsconfig, OVERRIDES, {
+		...ts.sys,
+		onUnRecoverableConfigFileDiagnostic: ( d ) => {
+			throw new Error( flatten(d.messageText) );
+		}
+	} );
+
+	// versioned source files: unchanged files are neither parsed nor checked again
+	const host = ts.createIncrementalCompilerHost( config.options, ts.sys );
+	const getSourceFile = host.getSourceFile;
+
+	host.getSourceFile = ( fname, ...args ) => {
+		const text = ts.sys.readFile( fname );
+		const cached = sources.get( fname );
+		if( cached && cached.text===text ) {
+			return cached.file;
+		}
+
+		const file = getSourceFile.call( host, fname, ...args );
+		if( file ) {
+			sources.set( fname, { text, file } );
+		}
+
+		return file;
+	}
+
+	builder = ts.createEmitAndSemanticDiagnosticsBuilderProgram( config.fileNames, config.options, host, builder, ts.getConfigFileParsingDiagnostics(config), config.projectReferences );
+
+	const diags = [
+		...builder.getConfigFileParsingDiagnostics( ),
+		...builder.getOptionsDiagnostics( ),
+		...builder.getGlobalDiagnostics( ),
+		...builder.getSyntacticDiagnostics( ),
+		...builder.getSemanticDiagnostics( ),
+	];
+
+	return diags.filter( d => d.category==ts.DiagnosticCategory.Error ).map( d => {
+		const message = flatten( d.messageText );
+
+		if( d.file && d.start!==undefined ) {
+			const { line, character } = d.file.getLineAndCharacterOfPosition( d.start );
+			return { file: path.relative( workerData.cwd, d.file.fileName ), line: line+1, column: character, message };
+		}
+
+		return { message };
+	} );
+}
+
+parentPort.on( "message", ( ) => {
+	const start = Date.now( );
+
+	try {
+		const errors = check( );
+		parentPort.postMessage( { errors, time: Date.now( )-start } );
+	}
+	catch( e ) {
+		parentPort.postMessage( { failure: e.message } );
+	}
+} );
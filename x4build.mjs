@@ -1,12 +1,11 @@
-#!/usr/bin/env node
-
 /**
 * @file build.mjs
 * @author Etienne Cochard 
 * @copyright (c) 2022 R-libre ingenierie, all rights reserved.
 *
 * @description quick and dirty compiler, server & hmr
-* x4build command line: x4build help
+* x4build api: create, build, clean, pack & templates, errors are thrown
+* x4build command line (cli.mjs): x4build help
 *
 **/
 
@@ -15,160 +14,471 @@ import * as fs from 'fs';
 import fse from 'fs-extra';
 import * as os from 'os';
 import * as http from 'http';
+import * as https from 'https';
+import * as crypto from 'crypto';
 import * as url from 'url';
+import * as zlib from 'zlib';
+import { pipeline } from 'stream';
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import { createRequire } from 'module';
 
 import colors from "ansi-colors"
 import { execSync, spawn, spawnSync } from "child_process";
-import { program } from 'commander'
 
 import * as chokidar from 'chokidar';
 import * as tar from 'tar';
 import WS from 'faye-websocket';
+import selfsigned from 'selfsigned';
+import yazl from 'yazl';
 
 import esbuild from 'esbuild';
 import htmlPlugin from '@chialab/esbuild-plugin-html';
-import { lessLoader } from 'esbuild-plugin-less';
+import { useRna } from '@chialab/esbuild-rna';
+import less from 'less';
 
-const runningdir = path.resolve( );
 const x4builddir = url.fileURLToPath(new URL('.', import.meta.url));
 
+// :: REPORTER ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+export const REPORTERS = ["pretty", "plain", "json"];
+
+// pretty: colors, plain: no colors (ci logs, problem matchers), json: ndjson events on stdout
+let reporter = "pretty";
+
+export function setReporter( name ) {
+	if( !REPORTERS.includes(name) ) {
+		throw new Error( `reporter must be one of ${REPORTERS.join(", ")}.` );
+	}
+
+	reporter = name;
+	colors.enabled = name=="pretty";
+}
+
+/**
+ * json reporter: one event per line { event, time, ... }
+ */
+
+function emit( event, data ) {
+	if( reporter=="json" ) {
+		process.stdout.write( JSON.stringify( { event, time: Date.now(), ...data } )+"\n" );
+	}
+}
+
+/**
+ * build error/warning: { severity, file, line, column, message, target, source }
+ * line & column are 1 based
+ */
+
+function reportDiagnostic( diag ) {
+	if( reporter=="json" ) {
+		emit( "diagnostic", diag );
+		return;
+	}
+
+	const error = diag.severity=="error";
+	const where = diag.file ? `${diag.file}(${diag.line},${diag.column}): ` : "";
+
+	if( reporter=="plain" ) {
+		log( `${where}${diag.severity}: ${diag.message}` );
+	}
+	else {
+		log( (error ? colors.red(colors.symbols.cross) : colors.yellow(colors.symbols.warning))+colors.white( ` ${where}${diag.message}` ) );
+	}
+}
+
+/**
+ * esbuild message to diagnostic
+ */
+
+function esbuildDiagnostic( msg, severity, target ) {
+	const loc = msg.location;
+	return {
+		severity,
+		file: loc?.file,
+		line: loc?.line,
+		column: loc ? loc.column+1 : undefined,
+		message: msg.text,
+		target: target.name,
+		source: msg.pluginName || "esbuild",
+	};
+}
+
+/**
+ * stdio of the child processes: stdout must only receive the json events
+ */
+
+function childStdio( stdin = "inherit" ) {
+	return reporter=="json" ? [ stdin, 2, "inherit" ] : [ stdin, "inherit", "inherit" ];
+}
+
+// messages go to stderr with the json reporter
+
 function logn( ...args ) {
 
+	const out = reporter=="json" ? process.stderr : process.stdout;
 	let n=0;
-	let last;
 
 	for( const x of args ) {
 		if( n ) {
-			process.stdout.write( ' ' );
+			out.write( ' ' );
 		}
-		process.stdout.write( x )
-		last = x;
+		out.write( x )
 		n++;
 	}
 }
 
 function log( ...args ) {
 	logn( ...args );
-	process.stdout.write( "\n" );
+	logn( "\n" );
 }
 
 
 
-const VERSION = JSON.parse( fs.readFileSync( path.join(x4builddir,"/package.json") ) ).version;
+/**
+ * project folder of an api call: options.cwd or the current folder
+ * it is given to the functions that need it: calls for several projects may overlap
+ */
 
-logn( "\u001b[2J" )
-log(colors.cyan("\n\n\nx4build "+VERSION+"\n"));	
+function projectDir( cwd ) {
+	return path.resolve( cwd ?? "." );
+}
 
+export const VERSION = JSON.parse( fs.readFileSync( path.join(x4builddir,"/package.json") ) ).version;
 
 
 function loadJSON( fname ) {
 	let raw_json = fs.readFileSync( fname, { encoding: "utf-8" });
 		
 	try {
-		raw_json = raw_json.replace(/\/\*.*\*\//g, "");		// multiline comments
-		raw_json = raw_json.replace(/\/\/.*/g, "");			// signeline comments
-		raw_json = raw_json.replace(/,([\s\n\r]*)([\]\}])/g, "$1$2");	// trailing comma
+		raw_json = stripJSONComments( raw_json );
 		return JSON.parse(raw_json);
 	}
 	catch( e ) {
-		log( colors.red( `cannot parse ${fname}.`) );
-		log( colors.white( raw_json ) );
-		process.exit( -1 );
+		throw new Error( `cannot parse ${fname}: ${e.message}` );
 	}
 }
 
-function writeJSON( fname, json ) {
-	let raw_json = JSON.stringify( json, undefined, 4 );
-	fs.writeFileSync( fname, raw_json, { encoding: "utf-8" });
-}
+/**
+ * remove comments and trailing commas from a json text
+ * strings are left untouched (urls in strings contains //)
+ */
+
+function stripJSONComments( text ) {
+	let result = "";
+	let pending = "";	// comma & spaces waiting to know if the comma is a trailing one
+	let i = 0;
+
+	const emit = ( x ) => {
+		if( pending ) {
+			result += pending;
+			pending = "";
+		}
 
-program.name( 'x4build' )
-	.version( VERSION );
+		result += x;
+	}
 
-program.command( 'create' )
-		.description( 'create a new project' )
-		.argument( 'name', 'project name' )
-		.option( '--type <type>', 'project type - one of "html", "node", "electron" or "server"' )
-		.option('--overwrite', 'allow creation of projet folder even if the folder exists' )
-		.action( create )
+	while( i<text.length ) {
+		const c = text[i];
 
-program.command( "build" )
-		.description( 'build the project' )
-		.option( '--release', 'release mode' )
-		.option('--serve', 'start a http server (only html mode)' )
-		.option('--hmr', 'handle Hot Module Replacement (hml and electron mode)' )
-		.option('--watch', 'rebuild when source change' )
-		.option('--monitor [path]', 'restart node when build done (node mode)' )
-		.action( build )
+		if( c=='"' ) {
+			let e = i+1;
+			while( e<text.length && text[e]!='"' ) {
+				if( text[e]=='\\' ) {
+					e++;
+				}
+				e++;
+			}
 
-program.parse();
+			emit( text.substring(i,e+1) );
+			i = e+1;
+		}
+		else if( c=='/' && text[i+1]=='/' ) {
+			while( i<text.length && text[i]!='\n' ) {
+				i++;
+			}
+		}
+		else if( c=='/' && text[i+1]=='*' ) {
+			const e = text.indexOf( '*/', i+2 );
+			i = e<0 ? text.length : e+2;
+		}
+		else if( c==',' ) {
+			emit( "" );
+			pending = c;
+			i++;
+		}
+		else if( pending && /\s/.test(c) ) {
+			pending += c;
+			i++;
+		}
+		else {
+			if( pending && (c==']' || c=='}') ) {
+				pending = pending.substring( 1 );	// trailing comma
+			}
 
+			emit( c );
+			i++;
+		}
+	}
 
-// :: CREATE ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+	return result+pending;
+}
 
-async function create( name, options ) {
-	const model = options.type;
+/**
+ * load a tsconfig and its extends chain (like typescript)
+ * compilerOptions of the bases are merged, path options are made absolute:
+ * outDir, rootDir, baseUrl and pathsBasePath (folder of the config that defines paths)
+ * a missing tsconfig.json gives empty compilerOptions
+ */
+
+function loadTSConfig( fname, loading = new Set( ) ) {
+	fname = path.resolve( fname );
 	
-	switch( model ) {
-		case "html":
-		case "node":
-		case "electron":
-		case "server":
-			break;
+	if( !fs.existsSync(fname) ) {
+		return { compilerOptions: {}, configFiles: [fname] };
+	}
+
+	if( loading.has(fname) ) {
+		throw new Error( `circular extends in ${fname}.` );
+	}
 
-		default: {
-			log( "type must be html, node or electron" );
-			return process.exit( -1 );
+	loading.add( fname );
+
+	const dir = path.dirname( fname );
+	const json = loadJSON( fname );
+
+	const options = { ...json.compilerOptions };
+	for( const name of ["outDir", "rootDir", "baseUrl"] ) {
+		if( options[name] ) {
+			options[name] = path.resolve( dir, options[name] );
 		}
 	}
 
-	log(colors.cyan(":: new project ")+colors.white(name)+colors.cyan(" ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::\n"));	
+	if( options.paths ) {
+		options.pathsBasePath = dir;
+	}
+
+	// typescript 5 accepts an array, later bases override the previous ones
+	let extended = json.extends ?? [];
+	if( !Array.isArray(extended) ) {
+		extended = [extended];
+	}
+
+	const result = { compilerOptions: {} };
+	const files = [];
+	for( const ext of extended ) {
+		const base = loadTSConfig( resolveTSConfigExtends(ext, dir), loading );
+		Object.assign( result, base, { compilerOptions: { ...result.compilerOptions, ...base.compilerOptions } } );
+		files.push( ...base.configFiles );
+	}
 
+	loading.delete( fname );
 
-	function download( url ) {
-		return new Promise( async (resolve, reject ) => {
-			for( let _try=0; _try<20; _try++ ) {
-				const rc = await fetch( url );
-				if( rc.status>=300 && rc.status<400 ) {
-					url = rc.headers.get("location");
+	for( const key in json ) {
+		if( key!="extends" && key!="compilerOptions" ) {
+			result[key] = json[key];
+		}
+	}
+
+	result.compilerOptions = { ...result.compilerOptions, ...options };
+	result.configFiles = [...files, fname];	// extends chain (watch mode)
+	return result;
+}
+
+/**
+ * "./base" -> ./base.json, "@tsconfig/node18" -> node_modules/@tsconfig/node18/tsconfig.json
+ */
+
+function resolveTSConfigExtends( ext, dir ) {
+	if( ext.startsWith(".") || path.isAbsolute(ext) ) {
+		const fname = path.resolve( dir, ext );
+		return fs.existsSync(fname) || fname.endsWith(".json") ? fname : fname+".json";
+	}
+
+	const require = createRequire( path.join(dir, "tsconfig.json") );
+	for( const candidate of [ext, ext+".json", ext+"/tsconfig.json"] ) {
+		try {
+			return require.resolve( candidate );
+		}
+		catch( e ) {
+		}
+	}
+
+	throw new Error( `cannot find the tsconfig ${ext} extended by ${path.join(dir,"tsconfig.json")}.` );
+}
+
+/**
+ * module resolution with baseUrl & paths (typescript rules)
+ * the longest matching pattern is used, its mappings are tried in order, then baseUrl
+ * @returns ( specifier ) => file or null (not handled: bundler resolution)
+ */
+
+function createPathsResolver( compilerOptions ) {
+	const { paths, baseUrl, pathsBasePath } = compilerOptions;
+	const patterns = Object.keys( paths ?? {} );
+
+	const match = ( spec ) => {
+		let best = null;
+		let star = "";
+
+		for( const p of patterns ) {
+			const i = p.indexOf( "*" );
+			if( i<0 ) {
+				if( p==spec ) {
+					return { pattern: p, star: "" };
 				}
-				else if( rc>=400 ) {
-					reject( new Error( rc.statusText ) );
+			}
+			else {
+				const prefix = p.substring( 0, i );
+				const suffix = p.substring( i+1 );
+
+				if( spec.length>=prefix.length+suffix.length && spec.startsWith(prefix) && spec.endsWith(suffix) && (!best || prefix.length>best.indexOf("*")) ) {
+					best = p;
+					star = spec.substring( prefix.length, spec.length-suffix.length );
 				}
-				else {
-					const data = await rc.arrayBuffer( );
-					const output = path.join( os.tmpdir(), "x4build-"+Date.now().toString()+".tar.gz" );
-					fs.writeFileSync( output, Buffer.from(data) );
-					return resolve( output );
+			}
+		}
+
+		return best ? { pattern: best, star } : null;
+	}
+
+	return ( spec ) => {
+		if( spec.startsWith(".") || path.isAbsolute(spec) ) {
+			return null;
+		}
+
+		const m = patterns.length ? match( spec ) : null;
+		if( m ) {
+			for( const mapping of paths[m.pattern] ) {
+				const found = resolveModuleFile( path.resolve( baseUrl ?? pathsBasePath, mapping.replace("*", m.star) ) );
+				if( found ) {
+					return found;
 				}
 			}
+		}
 
-			reject( new Error( "too many redirections" ) );
-		});
+		if( baseUrl ) {
+			return resolveModuleFile( path.resolve(baseUrl, spec) );
+		}
+
+		return null;
 	}
+}
 
-	function extract( file, cwd ) {
-		return new Promise( async (resolve, reject ) => {
-			try {
-				await tar.extract(  {
-					file: file,
-					strip: 1,
-					cwd 
-				} );
-				resolve( );
+const MODULE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+const JS_TO_TS = { ".js": [".ts", ".tsx"], ".jsx": [".tsx"], ".mjs": [".mts"], ".cjs": [".cts"] };
+
+/**
+ * file, file with ts extension (import "./x.js" of x.ts), file.ext, folder main or index
+ */
+
+function resolveModuleFile( fname ) {
+	const isFile = ( f ) => fs.existsSync( f ) && fs.statSync( f ).isFile( );
+
+	const ext = path.extname( fname );
+	for( const tsext of JS_TO_TS[ext] ?? [] ) {
+		const f = fname.substring( 0, fname.length-ext.length )+tsext;
+		if( isFile(f) ) {
+			return f;
+		}
+	}
+
+	if( isFile(fname) ) {
+		return fname;
+	}
+
+	for( const e of MODULE_EXTENSIONS ) {
+		if( isFile(fname+e) ) {
+			return fname+e;
+		}
+	}
+
+	if( fs.existsSync(fname) ) {
+		const pkgname = path.join( fname, "package.json" );
+		if( isFile(pkgname) ) {
+			const main = loadJSON( pkgname ).main;
+			const found = main && resolveModuleFile( path.resolve(fname, main) );
+			if( found ) {
+				return found;
 			}
-			catch( e ) {
-				reject( e );
+		}
+
+		for( const e of MODULE_EXTENSIONS ) {
+			const f = path.join( fname, "index"+e );
+			if( isFile(f) ) {
+				return f;
 			}
-		});
+		}
+	}
+
+	return null;
+}
+
+function writeJSON( fname, json ) {
+	let raw_json = JSON.stringify( json, undefined, 4 );
+	fs.writeFileSync( fname, raw_json, { encoding: "utf-8" });
+}
+
+export const BUILTIN_TEMPLATES = ["html", "node", "electron", "server"];
+
+export const INSTALL_COMMANDS = {
+	npm: "npm install --no-fund --no-audit",
+	pnpm: "pnpm install",
+	yarn: "yarn install",
+};
+
+
+
+// :: CREATE ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+/**
+ * create a project from a template
+ * options: { name, type, template, offline, overwrite, install, pm }
+ * @returns { path, type } of the project
+ */
+
+export async function create( options ) {
+	const runningdir = projectDir( options.cwd );
+
+	const name = options.name;
+	let model = options.type;
+	let source = options.template;
+
+	if( !name ) {
+		throw new Error( "project name expected." );
+	}
+
+	const pm = options.pm ?? "npm";
+	if( !INSTALL_COMMANDS[pm] ) {
+		throw new Error( `package manager must be one of ${Object.keys(INSTALL_COMMANDS).join(", ")}.` );
+	}
+
+	if( !source ) {
+		const registry = loadTemplateRegistry( );
+
+		if( BUILTIN_TEMPLATES.includes(model) ) {
+			//https://github.com/rlibre/template-node/tarball/master
+			source = `https://github.com/rlibre/template-${model}/tarball/main`;
+		}
+		else if( registry[model] ) {
+			source = registry[model].source;
+			model = registry[model].type ?? null;
+		}
+		else {
+			const names = [...BUILTIN_TEMPLATES, ...Object.keys(registry)];
+			throw new Error( `type must be one of ${names.join(", ")} or use --template` );
+		}
 	}
 
-	async function create( url ) {
+	log(colors.cyan(":: new project ")+colors.white(name)+colors.cyan(" ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::\n"));	
+
+	async function create( ) {
 
-		const real = path.resolve( name );
-		if( !options.overwrite && fs.existsSync(real) ) {
-			log( colors.red(`Cannot overwrite ${real}, use --overwrite option.`) );
-			process.exit( -1 );
+		const real = path.resolve( runningdir, name );
+		const existed = fs.existsSync( real );
+
+		if( !options.overwrite && existed ) {
+			throw new Error( `Cannot overwrite ${real}, use --overwrite option.` );
 		}
 		else {
 			fs.mkdirSync( real, {recursive:true} );
@@ -177,13 +487,17 @@ async function create( name, options ) {
 		try {
 			log( colors.green(colors.symbols.pointer)+colors.white(" getting files..."))
 
-			const tar = await download( url );
-			await extract( tar, real );
+			await installTemplate( source, real, options.offline ?? false, runningdir );
 			
 			log( colors.green(colors.symbols.pointer)+colors.white(" setup project..."))
 
 			// update package.json
 			function update_pkg( pkgname, name, debug, sub_name = "" ) {
+				// custom templates may not have one
+				if( !fs.existsSync(pkgname) ) {
+					return;
+				}
+
 				const pkg = loadJSON( pkgname );
 				pkg.name = name;
 				pkg.description = `${name} project`
@@ -203,6 +517,12 @@ async function create( name, options ) {
 				writeJSON( pkgname, pkg );
 			}
 			
+			// custom template without --type: use the template project type
+			if( !model ) {
+				const pkgname = path.join( real, "package.json" );
+				model = (fs.existsSync(pkgname) ? loadJSON(pkgname).x4build?.type : null) ?? "html";
+			}
+
 			switch( model ) {
 				case "html": {
 					update_pkg( path.join(real,"package.json"), name, "build --watch --serve" );
@@ -226,31 +546,30 @@ async function create( name, options ) {
 				}
 			}
 
-			if( model=="server" ) {
-				log( colors.green(colors.symbols.pointer)+colors.white(" installing dependencies 1/2..."))
-				spawnSync( "npm install --no-fund --no-audit", {
-					cwd: path.join(real,"src","server"),
-					shell: true,
-					stdio: "inherit",
-					stderr: "inherit",
-				} )
+			const install = ( cwd, step = "" ) => {
+				log( colors.green(colors.symbols.pointer)+colors.white(` installing dependencies${step}...`))
 
-				log( colors.green(colors.symbols.pointer)+colors.white(" installing dependencies 2/2..."))
-				spawnSync( "npm install --no-fund --no-audit", {
-					cwd: path.join(real,"src","client"),
+				const rc = spawnSync( INSTALL_COMMANDS[pm], {
+					cwd,
 					shell: true,
 					stdio: "inherit",
-					stderr: "inherit",
-				} )
+				} );
+
+				if( rc.error || rc.status!==0 ) {
+					const reason = rc.error ? rc.error.message : `exit code ${rc.status}`;
+					throw new Error( `${pm} install failed in ${cwd} (${reason}), use --no-install to create the project without installing dependencies.` );
+				}
+			}
+
+			if( options.install===false ) {
+				log( colors.green(colors.symbols.pointer)+colors.white(` dependencies not installed, use "${pm} install".`))
+			}
+			else if( model=="server" ) {
+				install( path.join(real,"src","server"), " 1/2" );
+				install( path.join(real,"src","client"), " 2/2" );
 			}
 			else {
-				log( colors.green(colors.symbols.pointer)+colors.white(" installing dependencies..."))
-				spawnSync( "npm install --no-fund --no-audit", {
-					cwd: real,
-					shell: true,
-					stdio: "inherit",
-					stderr: "inherit",
-				} )
+				install( real );
 			}
 
 			//if( process.platform=="win32" ) {
@@ -258,550 +577,4498 @@ async function create( name, options ) {
 			//}
 
 			log( colors.green(colors.symbols.heart)+colors.white(" project is READY..."))
-			process.exit( 0 );
+			return { path: real, type: model };
 		}
 		catch( err ) {
-			log( colors.red(err) );
-			process.exit( -1 );
+			// do not leave a half created project, but never remove an existing folder
+			if( !existed ) {
+				log( colors.red(`removing ${real}.`) );
+				fse.removeSync( real );
+			}
+
+			throw err;
 		}
 	}
 
-	//https://github.com/rlibre/template-node/tarball/master
-	await create( `https://github.com/rlibre/template-${model}/tarball/main` );
+	return await create( );
 }
 
-// :: BUILD ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+/**
+ * x4build user folder (certificates, templates cache...)
+ */
 
-async function build( options ) {
+function x4buildHome( ...parts ) {
+	return path.join( os.homedir(), ".x4build", ...parts );
+}
 
-	const pkg = loadJSON( "package.json");
-	const tscfg = loadJSON( "tsconfig.json" );
+/**
+ * named templates registered with "x4build template add"
+ * { name: { source, type } }
+ */
 
-	const type = pkg?.x4build?.type ?? 'html';
+function loadTemplateRegistry( ) {
+	const fname = x4buildHome( "templates.json" );
+	return fs.existsSync(fname) ? loadJSON( fname ) : {};
+}
 
-	const is_node = type=="node";
-	const is_electron = type=="electron";
+function saveTemplateRegistry( registry ) {
+	fs.mkdirSync( x4buildHome(), { recursive: true } );
+	writeJSON( x4buildHome( "templates.json" ), registry );
+}
 
-	const release = options.release ?? false;
-	const watch = options.watch ?? false;
-	const serve_files = options.serve ?? false;
-	const need_hmr = options.hmr  ?? false;
-	const outdir = path.resolve( tscfg?.compilerOptions?.outDir ?? "./bin" );
+function isGitUrl( source ) {
+	return /^(git@|git:\/\/|git\+|ssh:\/\/)/.test( source ) || /\.git(#.*)?$/.test( source );
+}
 
-	const paths = tscfg.compilerOptions?.paths;
+/**
+ * copy the template source in the project folder
+ * source can be:
+ * 	- a git url (git@host:user/repo.git, https://host/user/repo.git#branch...)
+ * 	- a tarball url
+ * 	- a local folder or .tar.gz file
+ * git & tarball urls are cached in ~/.x4build/templates and used when offline
+ */
+
+async function installTemplate( source, dest, offline, runningdir ) {
+
+	if( isGitUrl(source) ) {
+		const dir = cacheGitTemplate( source, offline );
+		copyTemplate( dir, dest );
+	}
+	else if( /^https?:\/\//.test(source) ) {
+		const file = await cacheTarballTemplate( source, offline );
+		await extract( file, dest );
+	}
+	else {
+		const local = path.resolve( runningdir, source );
+		const stat = fs.statSync( local, { throwIfNoEntry: false } );
 
+		if( stat?.isDirectory() ) {
+			copyTemplate( local, dest );
+		}
+		else if( stat?.isFile() && /\.(tar\.gz|tgz|tar)$/i.test(local) ) {
+			await extract( local, dest );
+		}
+		else {
+			throw new Error( `template ${source} not found (folder, .tar.gz, git or http url expected).` );
+		}
+	}
+}
 
-	let monitor = options.monitor;
-	//if (monitor!==false && monitor!==true ) {
-	//	monitor = path.resolve(path.join(outdir, monitor));
-	//	
-	//}
+function templateCacheName( source ) {
+	const hash = crypto.createHash( "sha1" ).update( source ).digest( "hex" ).substring( 0, 12 );
+	const base = source.replace( /[#?].*$/, "" ).split( /[\/:]/ ).filter( x => x && x!="tarball" && x!="main" ).pop( ) ?? "template";
+	return base.replace( /\.(git|tar\.gz|tgz|tar)$/, "" ).replace( /[^\w.-]/g, "_" )+"-"+hash;
+}
 
-	log(colors.cyan("::")+colors.white(" X4BUILD ")+colors.cyan("::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::\n"));
+async function cacheTarballTemplate( url, offline ) {
+	const file = x4buildHome( "templates", templateCacheName(url)+".tar.gz" );
 
-	log(colors.green("type.........: "), colors.white(is_node ? "node" : (is_electron ? "electron" : "html")) );
-	log(colors.green("entry point..: "), colors.white(pkg.main ) );
-	log(colors.green("outdir.......: "), colors.white(outdir) );
-	log(colors.green("watch........: "), colors.white(watch ? "yes" : "no") );
-	log(colors.green("mode.........: "), colors.white(release ? "release" : "debug") );
-	log(colors.green("serve........: "), colors.white(serve_files ? "yes" : "no") );
-	log(colors.green("hmr..........: "), colors.white(need_hmr ? "yes" : "no") );
-	log(colors.green("monitor......: "), colors.white(monitor ? "yes" : "no") );
+	if( !offline ) {
+		try {
+			const tmp = await download( url );
+			fse.moveSync( tmp, file, { overwrite: true } );
+			return file;
+		}
+		catch( e ) {
+			if( !fs.existsSync(file) ) {
+				throw e;
+			}
 
-	log(colors.cyan.bold("\n:::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::\n"));
-	const node_plugins = [
-	];
+			log( colors.yellow(colors.symbols.warning)+colors.white(` cannot download template (${e.message}), using cached copy.`) );
+		}
+	}
+	else if( !fs.existsSync(file) ) {
+		throw new Error( `template ${url} is not in the cache.` );
+	}
 
-	const html_plugins = [
-		htmlPlugin(),
-		lessLoader({
-			rootpath: ".",
-		})
-	]
+	return file;
+}
 
-	const runAction = ( actionName ) => {
-		let tasks = pkg.x4build[actionName];
-		if( !Array.isArray(tasks) ) {
-			tasks = [tasks];
-		}
+function cacheGitTemplate( url, offline ) {
+	let [repo, branch] = url.split( "#" );
+	repo = repo.replace( /^git\+/, "" );
 
-		tasks.forEach( task => {
-			task = task.replaceAll( /\$\{\w*outdir\w*\}/ig, path.resolve(outdir) );
-			task = task.replaceAll( /\$\{\w*srcdir\w*\}/ig, path.resolve(runningdir) );
-			task = task.trim( );
+	const dir = x4buildHome( "templates", templateCacheName(url) );
+	const cached = fs.existsSync( path.join(dir,".git") );
 
-			log( colors.green(colors.symbols.pointer)+colors.white( " "+task) );
+	if( !offline ) {
+		const git = ( ...args ) => spawnSync( "git", args, { stdio: "inherit" } ).status===0;
 
-			if( task.startsWith('@copy') ) {
-				const [copy,src,dst] = task.split( ' ' );
-				fse.copySync( path.resolve(src), path.resolve(dst) );
-			}
-			else {
-				spawnSync( task, {
-					cwd: runningdir,
-					shell: true,
-					stdio: "inherit"
-				} );
+		let ok;
+		if( cached ) {
+			ok = git( "-C", dir, "fetch", "--depth", "1", "origin", branch ?? "HEAD" ) && git( "-C", dir, "reset", "--hard", "FETCH_HEAD" );
+		}
+		else {
+			fse.removeSync( dir );
+			ok = git( "clone", "--depth", "1", ...(branch ? ["--branch", branch] : []), repo, dir );
+		}
+
+		if( !ok ) {
+			if( !cached ) {
+				throw new Error( `cannot clone ${repo}.` );
 			}
-		} );
+
+			log( colors.yellow(colors.symbols.warning)+colors.white(` cannot update template, using cached copy.`) );
+		}
+	}
+	else if( !cached ) {
+		throw new Error( `template ${url} is not in the cache.` );
 	}
 
-	class Timer {
-		
-		start( cb, tmo ) {
-			if( this.tm ) {
-				clearTimeout( this.tm );
+	return dir;
+}
+
+function copyTemplate( src, dest ) {
+	fse.copySync( src, dest, {
+		filter: ( fname ) => {
+			const base = path.basename( fname );
+			return base!=".git" && base!="node_modules";
+		}
+	} );
+}
+
+async function download( url ) {
+	for( let _try=0; _try<20; _try++ ) {
+		const rc = await fetch( url );
+		if( rc.status>=300 && rc.status<400 ) {
+			const location = rc.headers.get("location");
+			if( !location ) {
+				throw new Error( `cannot download ${url}: redirection without location.` );
 			}
-			
-			this.tm = setTimeout( cb, tmo );
+
+			url = new URL( location, url ).toString( );
+		}
+		else if( rc.status>=400 ) {
+			throw new Error( `cannot download ${url}: ${rc.status} ${rc.statusText}.` );
+		}
+		else {
+			const data = await rc.arrayBuffer( );
+			const output = path.join( os.tmpdir(), "x4build-"+Date.now().toString()+".tar.gz" );
+			fs.writeFileSync( output, Buffer.from(data) );
+			return output;
 		}
 	}
 
+	throw new Error( "too many redirections" );
+}
 
-	const minify = pkg.x4build?.minify ?? (release ? true : false);
-	const sourcemap = pkg.x4build?.sourcemap ?? (release ? false : "inline");
-
-	let started = false;
-	let errors = 0;
+/**
+ * extract a tarball, the root folder is removed if all files are in it (github tarballs)
+ */
+
+async function extract( file, cwd ) {
+	const roots = new Set( );
+	let rootFiles = false;
+
+	await tar.list( {
+		file,
+		onentry: ( entry ) => {
+			const parts = entry.path.split( "/" ).filter( x => x && x!="." );
+			if( parts.length ) {
+				roots.add( parts[0] );
+				if( parts.length==1 && entry.type!="Directory" ) {
+					rootFiles = true;
+				}
+			}
+		}
+	} );
 
-	function __start( ) {
+	await tar.extract( {
+		file,
+		strip: (roots.size==1 && !rootFiles) ? 1 : 0,
+		cwd 
+	} );
+}
 
-		if( started ) 
-			return;
+// :: TEMPLATES :::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
 
-		started = true;
-		errors = 0;
+export function templateAdd( name, source, options = {} ) {
+	if( BUILTIN_TEMPLATES.includes(name) ) {
+		throw new Error( `${name} is a built-in template.` );
+	}
 
-		if (pkg?.x4build?.preBuild ) {
-			log( colors.green( colors.symbols.check )+colors.white(' pre build'));
-			runAction( "preBuild" );
+	// local sources are stored as absolute paths
+	if( !isGitUrl(source) && !/^https?:\/\//.test(source) ) {
+		source = path.resolve( projectDir(options.cwd), source );
+		if( !fs.existsSync(source) ) {
+			throw new Error( `${source} not found.` );
 		}
 	}
 
-	const tmEnd = new Timer( );
-	let proc = null;
+	const registry = loadTemplateRegistry( );
+	registry[name] = { source, type: options.type };
+	saveTemplateRegistry( registry );
+
+	log( colors.green(colors.symbols.check)+colors.white(` template ${name} registered, use: x4build create <name> --type=${name}`) );
+}
+
+export function templateRemove( name ) {
+	const registry = loadTemplateRegistry( );
+	if( !registry[name] ) {
+		throw new Error( `unknown template ${name}.` );
+	}
+
+	delete registry[name];
+	saveTemplateRegistry( registry );
+
+	log( colors.green(colors.symbols.check)+colors.white(` template ${name} removed.`) );
+}
+
+export function templateList( ) {
+	for( const name of BUILTIN_TEMPLATES ) {
+		log( colors.green(name.padEnd(16)), colors.white("built-in") );
+	}
+
+	const registry = loadTemplateRegistry( );
+	for( const name in registry ) {
+		const tpl = registry[name];
+		log( colors.green(name.padEnd(16)), colors.white(tpl.source+(tpl.type ? ` (${tpl.type})` : "")) );
+	}
+}
+
+// :: BUILD ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+/**
+ * build the project of the current folder
+ * options: command line options of "x4build build" ({ release, watch, serve, hmr, monitor... })
+ * 	interactive: keyboard commands & signals handling (command line)
+ * 	on: { start, end, error } listeners of the build events, the first build included
+ * in watch mode, the build is started again when a configuration file changes
+ * @returns a context once the first build is done:
+ * 	result: last build result { errors, targets }
+ * 	rebuild(): build again, resolves to the result
+ * 	dispose(): stop everything (watchers, servers, processes)
+ * 	on( "start" | "end" | "error", cb ): build events, end & error receive the result
+ * 	persistent: true when the build keeps running (watch, server, monitor)
+ */
+
+export async function build( options = {} ) {
+
+	const runningdir = projectDir( options.cwd );
+	const events = new EventEmitter( );
+
+	for( const [name, cb] of Object.entries(options.on ?? {}) ) {
+		events.on( name, cb );
+	}
+
+	let current = await startBuild( options, events, runningdir );
+	let failure = null;		// configuration error of the last restart
+	let disposed = false;
+	let watcher = null;
+
+	const restart = async ( ) => {
+		await current.dispose( );
+
+		try {
+			current = await startBuild( options, events, runningdir );
+			failure = null;
+			watcher.add( current.configFiles );
+		}
+		catch( e ) {
+			// fixed by the next change
+			failure = e;
+			log( colors.red( colors.symbols.cross)+colors.white(` ${e.message}`));
+		}
+	}
+
+	let restarting = null;
+	let queued = false;
+
+	const scheduleRestart = ( ) => {
+		if( restarting ) {
+			queued = true;
+			return;
+		}
+
+		restarting = restart( ).finally( ( ) => {
+			restarting = null;
+			if( queued && !disposed ) {
+				queued = false;
+				scheduleRestart( );
+			}
+		} );
+	}
+
+	if( options.watch ) {
+		watcher = chokidar.watch( current.configFiles, { ignoreInitial: true } );
+
+		let timer = null;
+		watcher.on( "all", ( event, fname ) => {
+			clearTimeout( timer );
+			timer = setTimeout( ( ) => {
+				log( colors.green( colors.symbols.pointer)+colors.white(` ${path.relative(runningdir, fname)} changed, restarting`));
+				scheduleRestart( );
+			}, 300 );
+		} );
+	}
+
+	const context = {
+		get result( ) {
+			return current.result;
+		},
+
+		persistent: current.persistent,
+
+		async rebuild( ) {
+			await restarting;
+
+			if( disposed ) {
+				throw new Error( "the build context is disposed." );
+			}
+
+			if( failure ) {
+				throw failure;
+			}
+
+			return current.rebuild( );
+		},
+
+		async dispose( ) {
+			if( !disposed ) {
+				disposed = true;
+				await watcher?.close( );
+				await restarting;
+				await current.dispose( );
+			}
+		},
+
+		on( name, cb ) {
+			events.on( name, cb );
+			return context;
+		},
+
+		off( name, cb ) {
+			events.off( name, cb );
+			return context;
+		},
+	};
+
+	return context;
+}
+
+/**
+ * build of the current configuration
+ * when it cannot start (first build included), what was already started is released
+ * @returns { result, persistent, configFiles, rebuild(), dispose() }
+ */
+
+async function startBuild( options, events, runningdir ) {
+
+	// api: resources released by dispose()
+	const disposers = [];
+
+	try {
+		return await setupBuild( options, events, disposers, runningdir );
+	}
+	catch( e ) {
+		await Promise.allSettled( disposers.map( d => d( ) ) );
+		throw e;
+	}
+}
+
+async function setupBuild( options, events, disposers, runningdir ) {
+
+	const { pkg, tscfg, config } = await loadProject( options.release ?? false, runningdir );
+	const { file: config_file, plugins: config_plugins, onStart, onEnd, onServe } = config;
+
+	let last_result = null;
+	let build_start = 0;
+	let disposed = false;
+
+	const type = pkg?.x4build?.type ?? 'html';
+
+	const is_node = type=="node";
+	const is_electron = type=="electron";
+
+	const release = options.release ?? false;
+	const watch = options.watch ?? false;
+	const serve_files = options.serve ?? false;
+	const run_electron = (options.run ?? false) && is_electron;
+	if( options.run && !is_electron ) {
+		log( colors.yellow( colors.symbols.warning)+colors.white(' --run is only used by electron projects (use --monitor for node)'));
+	}
+
+	const need_hmr = (options.hmr ?? false) || run_electron;
+	const outdir = path.resolve( runningdir, tscfg?.compilerOptions?.outDir ?? "./bin" );
+
+	const paths = tscfg.compilerOptions.paths;
+	const resolvePath = (paths || tscfg.compilerOptions.baseUrl) ? createPathsResolver( tscfg.compilerOptions ) : null;
+	const tsconfig = resolvePath ? writeBuildTSConfig( tscfg, runningdir ) : null;
+	const targets = resolveTargets( pkg, type, outdir, runningdir );
+
+	const mode = release ? "production" : "development";
+	const typecheck = options.typecheck ?? pkg.x4build?.typecheck ?? release;
+	const env = loadEnv( mode, pkg.x4build?.envPrefix ?? ["X4_"], runningdir );
+
+
+	// -- server settings: command line first, then package.json
+	const server_cfg = pkg?.x4build?.server ?? {};
+	const port = parseInt( options.port ?? server_cfg.port ?? 9876 );
+	const host = options.host ?? server_cfg.host ?? '127.0.0.1';
+
+	let https_cfg = options.https ?? server_cfg.https ?? false;
+	if( options.cert || options.key ) {
+		https_cfg = { cert: options.cert, key: options.key };
+	}
+
+	let monitor = options.monitor;
+	//if (monitor!==false && monitor!==true ) {
+	//	monitor = path.resolve(path.join(outdir, monitor));
+	//	
+	//}
+
+	log(colors.cyan("::")+colors.white(" X4BUILD ")+colors.cyan("::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::\n"));
+
+	log(colors.green("type.........: "), colors.white(is_node ? "node" : (is_electron ? "electron" : "html")) );
+	if( targets.length==1 ) {
+		log(colors.green("entry point..: "), colors.white(entriesOf(targets[0]).join(", ") ) );
+	}
+	else {
+		targets.forEach( (t,i) => {
+			log(colors.green(i==0 ? "targets......: " : "               "), colors.white(`${t.name} (${t.platform}) ${entriesOf(t).join(", ")} ${colors.symbols.pointerSmall} ${path.relative(runningdir,t.outdir) || "."}`) );
+		} );
+	}
+
+	log(colors.green("outdir.......: "), colors.white(outdir) );
+	log(colors.green("watch........: "), colors.white(watch ? "yes" : "no") );
+	log(colors.green("mode.........: "), colors.white(release ? "release" : "debug") );
+	log(colors.green("serve........: "), colors.white(serve_files ? "yes" : "no") );
+	log(colors.green("hmr..........: "), colors.white(need_hmr ? "yes" : "no") );
+	log(colors.green("monitor......: "), colors.white(monitor ? "yes" : "no") );
+	log(colors.green("typecheck....: "), colors.white(typecheck ? "yes" : "no") );
+	log(colors.green("config.......: "), colors.white(config_file ? path.relative(runningdir, config_file) : "none") );
+	log(colors.green("env..........: "), colors.white(env.files.length ? `${env.files.join(", ")} (${Object.keys(env.vars).length} variables)` : "none") );
+	Object.keys( paths ?? {} ).forEach( (p,i) => {
+		log(colors.green(i==0 ? "paths........: " : "               "), colors.white(`${p} ${colors.symbols.pointerSmall} ${paths[p].join(", ")}`) );
+	} );
+
+	log(colors.cyan.bold("\n:::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::\n"));
+	const node_plugins = [
+		...(Array.isArray(config_plugins) ? config_plugins : config_plugins?.node ?? []),
+	];
+
+	const html_plugins = [
+		htmlPlugin(),
+		stylesPlugin( pkg.x4build?.css, runningdir ),
+		...(Array.isArray(config_plugins) ? config_plugins : config_plugins?.html ?? []),
+	]
+
+	// hooks of x4build.config.mjs, they receive the resolved settings
+	const hook_ctx = {
+		options: {
+			type,
+			mode,
+			release,
+			watch,
+			serve: serve_files,
+			hmr: need_hmr,
+			monitor: options.monitor ?? false,
+			typecheck,
+		},
+		outdir,
+		targets,
+		pkg,
+	};
+
+	/**
+	 * call a hook
+	 * @returns 1 if it failed (error displayed)
+	 */
+
+	const callHook = async ( hook, name, ...args ) => {
+		if( !hook ) {
+			return 0;
+		}
+
+		try {
+			await hook( ...args );
+			return 0;
+		}
+		catch( e ) {
+			log( colors.red( colors.symbols.cross)+colors.white(` ${name} failed: ${e.message}`));
+			return 1;
+		}
+	}
+
+	/**
+	 * preBuild / postBuild tasks
+	 * @returns number of failed tasks
+	 */
+
+	const runAction = async ( actionName ) => {
+
+		// @replace values
+		const values = {
+			name: pkg.name,
+			version: pkg.version,
+			mode,
+			date: new Date( ).toISOString( ),
+			...env.vars,
+		};
+
+		return await runTasks( pkg.x4build[actionName], { outdir, srcdir: runningdir, values, phase: actionName } );
+	}
+
+	class Timer {
+		
+		start( cb, tmo ) {
+			if( this.tm ) {
+				clearTimeout( this.tm );
+			}
+			
+			this.tm = setTimeout( cb, tmo );
+		}
+	}
+
+
+	const clean_outdir = options.clean ?? (release && (pkg.x4build?.cleanBeforeRelease ?? false));
+	if( clean_outdir ) {
+		outdirsOf( targets ).forEach( d => checkOutdir(d, targets, runningdir) );
+	}
+
+	const analyze = options.analyze ?? false;
+	const dist_cfg = pkg.x4build?.dist ?? {};
+	const budgets = pkg.x4build?.budgets;
+
+	// release: content hashed names, browsers & cdn can cache files forever
+	const hash = release && (pkg.x4build?.hash ?? true);
+
+	const fileNames = ( target ) => {
+		if( !hash ) {
+			// for now there is a problem with htmlplugin, i have created an issue
+			// shared chunks are all named "chunk"
+			return { assetNames: 'assets/[name]', chunkNames: isSplit(target) ? 'assets/[name]-[hash]' : 'assets/[name]' };
+		}
+
+		// html pages & node entries must keep their names (urls, package.json main)
+		const entries = entriesOf( target );
+		const hash_entries = target.platform!="node" && !entries.some( e => e.endsWith(".html") );
+
+		return {
+			assetNames: 'assets/[name]-[hash]',
+			chunkNames: 'assets/[name]-[hash]',
+			...(hash_entries ? { entryNames: '[dir]/[name]-[hash]' } : {}),
+		};
+	}
+
+	const minify = pkg.x4build?.minify ?? (release ? true : false);
+	const sourcemap = pkg.x4build?.sourcemap ?? (release ? false : "inline");
+
+	async function __start( ) {
+
+		let errors = await callHook( onStart, "onStart", hook_ctx );
+
+		if (!errors && pkg?.x4build?.preBuild ) {
+			log( colors.green( colors.symbols.check )+colors.white(' pre build'));
+			errors += await runAction( "preBuild" );
+		}
+
+		return errors;
+	}
+
+	// --monitor: node process restarted after each build, --run: electron
+	let supervisor = null;
+	let hmr_client_url = null;
+
+	const createMonitor = ( ) => {
+		const cfg = pkg.x4build?.monitor ?? {};
+
+		// --monitor alone: x4build.monitor.script or output of the entry point
+		const script_name = options.monitor===true ? cfg.script : options.monitor;
+		const script = script_name ? path.resolve( outdir, script_name ) : entryOutput( targets[0], runningdir );
+		if( !script ) {
+			log( colors.red( colors.symbols.cross)+colors.white(' nothing to monitor, use --monitor <path>'));
+			return null;
+		}
+
+		return supervise( new Supervisor( {
+			name: path.relative( runningdir, script ),
+			command: process.execPath,
+			args: [...(cfg.nodeArgs ?? []), script, ...(cfg.args ?? [])],
+			cwd: outdir,
+			env: cfg.env,
+			grace: cfg.grace,
+		} ) );
+	}
+
+	// --run: electron started on the output folder (or on the main process output)
+	const createElectron = ( ) => {
+		let binary;
+		try {
+			// the electron package exports the path of its binary
+			binary = createRequire( path.join(runningdir, "package.json") )( "electron" );
+		}
+		catch( e ) {
+			log( colors.red( colors.symbols.cross)+colors.white(' electron is not installed in the project (npm install -D electron)'));
+			return null;
+		}
+
+		const cfg = pkg.x4build?.electron ?? {};
+		const main_target = targets.find( t => t.platform=="node" ) ?? targets[0];
+		const app = fs.existsSync( path.join(outdir, "package.json") ) ? outdir : entryOutput( main_target, runningdir );
+
+		return supervise( new Supervisor( {
+			name: "electron",
+			command: binary,
+			args: [app, ...(cfg.args ?? [])],
+			cwd: outdir,
+			env: { ...cfg.env, X4BUILD_HMR: hmr_client_url },
+			grace: cfg.grace,
+		} ) );
+	}
+
+	// keys & signals of the supervised process
+	const supervise = ( sup ) => {
+		const kill = ( ) => sup.kill( );
+		process.on( "exit", kill );
+		disposers.push( async ( ) => {
+			process.off( "exit", kill );
+			await sup.stop( );
+		} );
+
+		if( options.interactive ) {
+			const stopKeys = listenKeys( { r: ( ) => sup.restart( ) } );
+			if( stopKeys ) {
+				log( colors.green( colors.symbols.pointer)+colors.white(' press r to restart the process, q to quit'));
+				disposers.push( stopKeys );
+			}
+
+			// signals do not emit exit by default
+			const onSignal = ( signal ) => process.exit( signal=="SIGINT" ? 130 : 143 );
+			process.once( "SIGINT", onSignal );
+			process.once( "SIGTERM", onSignal );
+			disposers.push( ( ) => {
+				process.off( "SIGINT", onSignal );
+				process.off( "SIGTERM", onSignal );
+			} );
+		}
+
+		return sup;
+	}
 	
-	function __done( ) {
+	// other_errors: type checking, onStart & preBuild failures
+	async function __done( other_errors = 0 ) {
+
+		let errors = targets.reduce( (n,t) => n+t.errors.length, 0 )+other_errors;
+		hmr?.buildErrors( targets.flatMap( t => t.errors ) );
+		source_watcher?.update( );
+
+		// -- analysis & size budgets ---------------------------------
+		if( !errors && (analyze || (release && budgets)) ) {
+			for( const target of targets ) {
+				target.analysis = analyzeMetafile( target.metafile, target.outdir, runningdir );
+			}
+
+			if( analyze ) {
+				for( const target of targets ) {
+					const suffix = targets.length>1 ? "-"+target.name : "";
+					const metaname = path.join( target.outdir, `meta${suffix}.json` );
+
+					fs.writeFileSync( metaname, JSON.stringify(target.metafile, undefined, 2) );
+					target.outputs.push( metaname );
+					printAnalysis( target.name, target.analysis );
+				}
+
+				const report = path.join( outdir, "analyze.html" );
+				writeTreemap( report, targets );
+				targets[0].outputs.push( report );
+
+				log( colors.green( colors.symbols.check)+colors.white(` bundle treemap written to ${report}`));
+			}
+
+			if( release && budgets ) {
+				const failures = checkBudgets( budgets, targets );
+				for( const msg of failures ) {
+					reportDiagnostic( { severity: "error", message: `budget exceeded: ${msg}`, source: "budgets" } );
+				}
+
+				errors += failures.length;
+			}
+		}
+
+		// -- asset manifest (release) --------------------------------
+		if( !errors && hash ) {
+			const fname = writeManifest( outdir, targets, runningdir );
+			targets[0].outputs.push( fname );
+		}
+
+		// -- dist package.json (release) -----------------------------
+		const all_externals = [...external, ...targets.flatMap( t => t.external )];
+		if( !errors && release && (dist_cfg.package ?? (all_externals.length>0 || is_electron)) ) {
+			const fname = writeDistPackage( pkg, outdir, targets, all_externals, is_electron, runningdir );
+			targets[0].outputs.push( fname );
+
+			log( colors.green( colors.symbols.check)+colors.white(` ${fname} written`));
+
+			if( dist_cfg.install ) {
+				log( colors.green( colors.symbols.pointer)+colors.white(' installing dist dependencies...'));
+
+				const rc = spawnSync( "npm install --omit=dev --no-fund --no-audit", {
+					cwd: outdir,
+					shell: true,
+					stdio: childStdio( )
+				} );
+
+				if( rc.error || rc.status!==0 ) {
+					log( colors.red( colors.symbols.cross)+colors.white( ` dist dependencies installation failed (${rc.error ? rc.error.message : "exit code "+rc.status})` ));
+					errors++;
+				}
+
+				targets[0].outputs.push( path.join(outdir, "package-lock.json") );
+			}
+		}
 
 		if( !errors ) {
+
+			// -- stale files (before post build, that may copy files) ----
+			if( clean_outdir ) {
+				const produced = new Set( targets.flatMap( t => t.outputs ) );
+				const removed = removeStaleFiles( outdirsOf(targets), produced );
+				if( removed ) {
+					log( colors.green( colors.symbols.check)+colors.white(` ${removed} stale file${removed>1 ? "s" : ""} removed`));
+				}
+			}
 				
 			// -- post build actions --------------------------------------
 			if (pkg?.x4build?.postBuild ) {
 				log( colors.green( colors.symbols.check)+colors.white(' post build'));
-				runAction( "postBuild" );	
+				errors += await runAction( "postBuild" );	
+			}
+		}
+
+		// -- config hook (called on failures too) ---------------------
+		const result = {
+			errors,
+			targets: targets.map( t => ({ name: t.name, errors: t.errors, outputs: t.outputs, metafile: t.metafile, time: t.time }) ),
+		};
+
+		result.errors += await callHook( onEnd, "onEnd", result, hook_ctx );
+		errors = result.errors;
+
+		if( !errors ) {
+
+			// -- monitor -------------------------------------------------
+			if( options.monitor ) {
+				supervisor ??= createMonitor( );
+				supervisor?.restart( );
+			}
+
+			// -- electron (next starts are done by the hmr watcher) -----
+			else if( run_electron && !supervisor ) {
+				supervisor = createElectron( );
+				supervisor?.restart( );
 			}
+		}
+
+		// combined status of all targets
+		let status = errors ? colors.red( colors.symbols.cross)+colors.white(' build failed') : colors.green( colors.symbols.check)+colors.white(' build done');
+		if( targets.length>1 ) {
+			status += colors.white( "  "+targets.map( t => t.errors.length ? `${t.name} ${colors.red(colors.symbols.cross)}` : `${t.name} ${colors.green(colors.symbols.check)} ${t.time} ms` ).join( colors.dim(" | ") ) );
+		}
+		else if( !errors ) {
+			status += colors.dim( ` in ${targets[0].time} ms` );
+		}
+
+		if( supervisor?.lastExit ) {
+			status += colors.dim( ` | last exit: ${supervisor.lastExit}` );
+		}
+
+		log( status );
+
+		emit( "end", {
+			errors,
+			duration: Date.now( )-build_start,
+			targets: targets.map( t => ({ name: t.name, errors: t.errors.length, warnings: t.warnings.size, duration: t.time, outputs: t.outputs.map( f => path.relative(runningdir, f) ) }) ),
+		} );
+
+		last_result = result;
+		events.emit( "end", result );
+		if( errors && events.listenerCount("error") ) {
+			events.emit( "error", result );
+		}
+
+		return result;
+	}
+
+	// hmr channel (set when --hmr is used), receives the build errors
+	let hmr = null;
+
+	// source watcher (set when --watch is used), follows the build inputs
+	let source_watcher = null;
+
+	// type checker (worker), reported in the same format as the build errors
+
+	const one_shot = !options.watch && !options.monitor && !run_electron;
+	const checker = typecheck ? createTypeChecker( "tsconfig.json", runningdir ) : null;
+	if( checker ) {
+		disposers.push( ( ) => checker.close( ) );
+	}
+
+	let last_check = null;
+
+	const reportTypeCheck = ( result ) => {
+		// a queued check may be reported by several builds
+		if( result===last_check ) {
+			return 0;
+		}
+
+		last_check = result;
+
+		if( result.failure ) {
+			log( colors.yellow( colors.symbols.warning)+colors.white( ` type checking failed: ${result.failure}` ));
+			emit( "typecheck", { failure: result.failure } );
+			return 0;
+		}
+
+		for( const err of result.errors ) {
+			reportDiagnostic( { severity: "error", ...err, column: err.file ? err.column+1 : undefined, source: "typescript" } );
+		}
+
+		if( result.errors.length ) {
+			log( colors.red( colors.symbols.cross)+colors.white( ` ${result.errors.length} type errors`)+colors.dim( ` in ${result.time} ms` ));
+		}
+		else {
+			log( colors.green( colors.symbols.check)+colors.white( ' no type errors')+colors.dim( ` in ${result.time} ms` ));
+		}
+
+		emit( "typecheck", { errors: result.errors.length, duration: result.time } );
+		return result.errors.length;
+	}
+
+	// one instance per target: errors are collected by target
+
+	const buildDonePlugin = ( target ) => ({
+		name: 'done',
+
+		setup(build) {
+			build.onEnd( ( result ) => {
+				// nested builds warnings are also in their parent result
+				for( const warn of result.warnings ?? [] ) {
+					const diag = esbuildDiagnostic( warn, "warning", target );
+					const key = `${diag.file}:${diag.line}:${diag.column}:${diag.message}`;
+					if( !target.warnings.has(key) ) {
+						target.warnings.add( key );
+						reportDiagnostic( diag );
+					}
+				}
+
+				if( result.errors && result.errors.length>0 ) {
+					// failure of a nested build (html plugin): its errors were already reported
+					const errors = result.errors.filter( err => !err.detail?.errors );
+					if( errors.length ) {
+						for( const err of errors ) {
+							reportDiagnostic( esbuildDiagnostic( err, "error", target ) );
+						}
+
+						log( colors.red( colors.symbols.cross)+colors.white( ' --------------------------------------------------------' ) );
+						log( colors.red( colors.symbols.cross)+colors.white( ` ${errors.length} errors${targets.length>1 ? " in "+target.name : ""}. no rebuild until correction\n`));
+					}
+
+					// nested builds (html plugin) end before their parent: the last result wins
+					target.errors = result.errors;
+				}
+			} );
+
+		}
+	});
+
+	let external = [];
+	if( is_electron ) {
+		external.push( "electron" );
+	}
+	
+	if( pkg.x4build?.external ) {
+		external = external.concat( pkg.x4build?.external );
+	}
+
+	let override = {};
+	if( pkg.x4build?.override ) {
+		override = pkg.x4build?.override;
+	}
+
+	for( const target of targets ) {
+		target.errors = [];
+		target.warnings = new Set( );
+		target.watchFiles = new Set( );
+		target.watchDirs = new Set( );
+		target.inputs = new Set( );
+		target.outputs = [];
+		target.time = 0;
+
+		target.ctx = await esbuild.context({
+			absWorkingDir: runningdir,
+			logLevel: "silent",
+			entryPoints: target.entryPoints,
+			outdir: target.outdir,
+			bundle: true,
+			sourcemap,
+			minify,
+			metafile: true,
+			keepNames: true,
+			target: target.platform=="node" ? "chrome108" : "esnext",
+			charset: "utf8",
+			...fileNames( target ),
+			// esm: chunks import each other relatively to their own url
+			...(isSplit(target) ? { splitting: true } : { publicPath: '.' }),	//pkg?.x4build?.publicPath,
+			legalComments: "none",
+			platform: target.platform,
+			format: target.format,
+			supported: isSplit(target) ? {} : { 
+				"dynamic-import": false,
+			},
+			external: [...external, ...target.external],
+			//allowOverwrite: true,
+			loader: projectLoaders( pkg, target ),
+			plugins: [
+				...(target.type=="node" ? node_plugins : [...(isSplit(target) ? [moduleScriptsPlugin( )] : []), ...html_plugins]).map( p => trackWatchFiles(p, target, runningdir) ),
+				...(resolvePath ? [pathsPlugin( resolvePath )] : []),
+				buildDonePlugin( target )
+			],
+			...(tsconfig ? { tsconfig } : {}),
+			...(override ?? []),
+			...target.override,
+			define: projectDefines( pkg, env, release, target ),
+		});
+	}
+
+	// all targets are built in parallel, 
+	// a rebuild asked during a build is done just after
+
+	disposers.push( ( ) => Promise.all( targets.map( t => t.ctx.dispose( ) ) ) );
+
+	let building = null;
+	let queued = null;
+
+	// resolves to the result of the build
+	function runBuild( ) {
+		// watchers timers may still fire
+		if( disposed ) {
+			return Promise.resolve( last_result );
+		}
+
+		if( !building ) {
+			building = doBuild( ).finally( ( ) => building = null );
+			return building;
+		}
+
+		queued ??= building.then( ( ) => {
+			queued = null;
+			return runBuild( );
+		} );
+
+		return queued;
+	}
+
+	async function doBuild( ) {
+		build_start = Date.now( );
+		events.emit( "start" );
+		emit( "start", { mode, targets: targets.map( t => t.name ) } );
+		const pre_errors = await __start( );
+
+		// type checking runs beside esbuild
+		const checking = checker?.check( );
+
+		await Promise.all( targets.map( async ( target ) => {
+			const start = Date.now( );
+			target.errors = [];
+			target.warnings = new Set( );
+			target.watchFiles = new Set( );
+			target.watchDirs = new Set( );
+
+			try {
+				const result = await target.ctx.rebuild( );
+
+				if( isSplit(target) ) {
+					pruneOutputs( target.metafile, result.metafile, runningdir );
+					addModulePreloads( result.metafile, runningdir );
+				}
+
+				target.metafile = result.metafile;
+				target.outputs = Object.keys( result.metafile?.outputs ?? {} ).map( f => path.resolve(runningdir, f) );
+				target.inputs = new Set( inputsOf( result.metafile, runningdir ) );
+			}
+			catch( e ) {
+				// error is displayed by the plugin
+				if( !target.errors.length ) {
+					target.errors = e.errors ?? [{ text: e.message }];
+				}
+
+				// inputs of the last success and files in error
+				target.errors.forEach( err => err.location?.file && target.inputs.add( path.resolve(runningdir, err.location.file) ) );
+			}
+
+			target.watchFiles.forEach( f => target.inputs.add( f ) );
+
+			target.time = Date.now( )-start;
+		} ) );
+
+		// one shot builds wait for the checker, in watch mode types are reported when checked
+		let type_errors = 0;
+		if( checking ) {
+			if( one_shot ) {
+				type_errors = reportTypeCheck( await checking );
+			}
+			else {
+				checking.then( reportTypeCheck );
+			}
+		}
+
+		return await __done( type_errors+pre_errors );
+	}
+
+	//if( options.watch ) {
+	//	ctx.watch( );
+	//	log(colors.white(`watching for sources modifications`));
+	//}
+	
+	if( serve_files || need_hmr || watch ) {
+		
+		let http_server = null;
+
+		// backend proxy (only when serving files)
+		const proxy = (serve_files && !is_electron && pkg.x4build?.proxy) ? createProxy( pkg.x4build.proxy ) : null;
+
+		function createServer() {
+
+			if (http_server) {
+				return http_server;
+			}
+
+			if( https_cfg ) {
+				http_server = https.createServer( loadCertificate(https_cfg, runningdir) );
+			}
+			else {
+				http_server = http.createServer({});
+			}
+
+			return http_server;
+		}
+		
+		//------------------------------------------------------------------------
+
+		if ( need_hmr ) {
+			
+			// targets may write outside outdir
+			const outdirs = [...new Set( [outdir, ...targets.map( t => t.outdir )] )];
+
+			// chokidar misses the files of folders created after the watch
+			outdirs.forEach( d => fs.mkdirSync( d, { recursive: true } ) );
+
+			const watcher = chokidar.watch( outdirs, {
+				ignored: [
+					/.*\.map$/ 
+				]
+			});
+
+			disposers.push( ( ) => {
+				clients.forEach( c => c.ws.close( ) );
+				return watcher.close( );
+			} );
+
+			const relativeOut = ( fname ) => {
+				const root = outdirs.find( d => isInside(d,fname) ) ?? outdir;
+				return path.relative( root, fname ).replaceAll( "\\", "/" );
+			}
+
+			let clients = [];
+			const wait = 500;
+
+			const server = createServer();
+
+			// each client receives every message:
+			// clients of the injected script (/__x4hmr) get json, old hand-written listeners get strings
+			const broadcast = ( msg ) => {
+				for( const c of clients ) {
+					if( !c.legacy ) {
+						c.ws.send( JSON.stringify(msg.data) );
+					}
+					else if( msg.legacy ) {
+						c.ws.send( msg.legacy );
+					}
+				}
+			}
+
+			// last build errors, also sent to clients connecting later
+			let build_errors = null;
+
+			hmr = {
+				buildErrors( errors ) {
+					if( errors.length ) {
+						build_errors = unwrapErrors( errors ).map( formatBuildError );
+						broadcast( { data: { type: "error", errors: build_errors } } );
+					}
+					else if( build_errors ) {
+						build_errors = null;
+						broadcast( { data: { type: "clear" } } );
+					}
+				}
+			}
+
+			server.addListener('upgrade', function (request, socket, head) {
+
+				// proxied websocket: handled by the proxy
+				if( proxy && proxy.match(request.url) ) {
+					return;
+				}
+
+				const client = {
+					ws: new WS.WebSocket(request, socket, head),
+					legacy: !request.url.startsWith( HMR_SOCKET ),
+				};
+
+				client.ws.onopen = () => {
+					log("client connected");
+					client.ws.send( client.legacy ? 'connected' : JSON.stringify({ type: "connected" }) );
+
+					if( build_errors && !client.legacy ) {
+						client.ws.send( JSON.stringify({ type: "error", errors: build_errors }) );
+					}
+				};
+
+				client.ws.onclose = function () {
+					clients = clients.filter(function (x) {
+						return x !== client;
+					});
+				};
+
+				clients.push(client);
+			});
+
+			// without the static server, the client script is served here (electron windows)
+			if( !(serve_files && !is_electron) ) {
+				server.addListener( "request", ( req, res ) => {
+					if( !sendHmrClient( req, res ) ) {
+						res.statusCode = 404;
+						res.end( );
+					}
+				} );
+			}
+
+			let isReady = false;
+			let tmSend = new Timer( );
+			let changes = new Set( );
+			let hashes = new Map( );
+
+			// esbuild rewrites every output file: only keep the ones whose content really changed
+			const contentChanged = ( fname ) => {
+				let hash = null;
+				try {
+					if( fs.statSync(fname).isFile() ) {
+						hash = crypto.createHash( "md5" ).update( fs.readFileSync(fname) ).digest( "hex" );
+					}
+				}
+				catch( e ) {
+					// removed
+				}
+
+				const changed = hashes.get(fname)!==hash && (hash!==null || hashes.has(fname));
+				if( hash===null ) {
+					hashes.delete( fname );
+				}
+				else {
+					hashes.set( fname, hash );
+				}
+
+				return changed;
+			}
+
+			// main & preload outputs (electron --run)
+			const isMainOutput = ( fname ) => targets.some( t => t.platform=="node" && t.outputs.includes(fname) );
+
+			// changes are grouped until the build output is stable
+			function notify( ) {
+				const changed = [...changes].filter( contentChanged );
+				const files = changed.map( relativeOut );
+				changes.clear( );
+
+				if( !files.length ) {
+					return;
+				}
+
+				// main process changed: windows are reloaded by the restart
+				if( run_electron && supervisor && changed.some( isMainOutput ) ) {
+					log(colors.green(colors.symbols.pencilDownRight)+colors.white(` main process changed, restarting electron`) );
+					supervisor.restart( );
+					return;
+				}
+
+				// images & fonts are only used by stylesheets
+				const cssChange = files.every( f => [".css", ".jpg", ".jpeg", ".png", ".gif", ".webp", ".svg", ".ttf", ".otf", ".woff", ".woff2" ].indexOf(path.extname(f))>=0 );
+
+				broadcast( {
+					legacy: cssChange ? 'refreshcss' : 'reload',
+					data: {
+						type: cssChange ? "css" : "reload",
+						files,
+					}
+				} );
+
+				const plural = ( n, x ) => `${n} ${x}${n!=1 ? "s" : ""}`;
+				log(colors.green(colors.symbols.pencilDownRight)+colors.white(` changes detected, hmr updated (${plural(files.length,"file")}, ${plural(clients.length,"client")})`) );
+			}
+
+			function handleChange(changePath) {
+
+				if (!isReady) {
+					contentChanged( changePath );
+					return;
+				}
+
+				changes.add( changePath );
+				tmSend.start( notify, wait );
+			}
+
+			watcher
+				.on("change", handleChange)
+				.on("add", handleChange)
+				.on("unlink", handleChange)
+				.on("addDir", handleChange)
+				.on("unlinkDir", handleChange)
+				.on("ready", function () {
+					isReady = true;
+				})
+				.on("error", function (err) {
+					log("ERROR:", err);
+				});
+
+				log(colors.green( colors.symbols.starsOn)+colors.white(` HMR started`));
+		}
+		
+		//------------------------------------------------------------------------
+
+		if (serve_files && !is_electron) {
+
+			const static_cfg = {
+				root: outdir,
+				index: server_cfg.index ?? ["index.html", "index.htm"],
+				fallback: server_cfg.fallback ?? false,
+				compress: server_cfg.compress ?? true,
+				cacheControl: server_cfg.cacheControl ?? "no-cache",
+				inject: need_hmr ? `<script src="${HMR_CLIENT}"></script>` : null,
+			};
+
+			const srv = createServer();
+			srv.addListener("request", (req, res) => {
+
+				// We can't return a promise in a HTTP request handler, so we run our code
+				// inside an async function instead.
+				const run = async () => {
+
+					// Log the request.
+					const requestTime = new Date();
+					const formattedTime = `${requestTime.toLocaleDateString()} ${requestTime.toLocaleTimeString()}`;
+					const ipAddress = req.socket.remoteAddress?.replace('::ffff:', '') ?? 'unknown';
+					const requestUrl = `${req.method ?? 'GET'} ${req.url ?? '/'}`;
+
+					log(colors.dim(formattedTime), colors.yellow(ipAddress), colors.cyan(requestUrl));
+
+					if( need_hmr && sendHmrClient(req, res) ) {
+						return;
+					}
+
+					if( proxy && proxy.match(req.url) ) {
+						res.on( "finish", ( ) => {
+							const responseTime = Date.now() - requestTime.getTime();
+							log(colors.dim(formattedTime), colors.yellow(ipAddress), colors[res.statusCode < 400 ? "green" : "red"](`Proxied ${res.statusCode} in ${responseTime} ms`));
+						} );
+
+						proxy.web( req, res );
+						return;
+					}
+
+					//response.setHeader('Access-Control-Allow-Origin', '*');
+
+					let relativePath = null;
+					let aliased = false;
+
+					try {
+						relativePath = decodeURIComponent(new URL(req.url, "file://").pathname);
+					}
+					catch( e ) {
+						// invalid url (http://[bad) or malformed escape sequence (%E0%A4%A)
+					}
+
+					const aliases = pkg.x4build?.alias;
+					if( aliases && relativePath!==null ) {
+						for( const map in aliases ) {
+							if( relativePath.startsWith(map) ) {
+								relativePath = aliases[map]+relativePath.substring( map.length );
+								aliased = true;
+								break;
+							}
+						}
+					}
+
+					const absolutePath = relativePath!==null ? path.join(outdir, relativePath) : null;
+
+					if( absolutePath===null ) {
+						res.statusCode = 400;
+						res.end();
+					}
+					// aliases may point outside outdir, not the url itself
+					else if( !aliased && !isInside(outdir, absolutePath) ) {
+						res.statusCode = 403;
+						res.end();
+					}
+					else {
+						try {
+							await serveStatic( req, res, absolutePath, static_cfg );
+						}
+						catch (e) {
+							if( !res.headersSent ) {
+								res.statusCode = 500;
+							}
+							res.end();
+						}
+					}
+
+					// Before returning the response, log the status code and time taken.
+					const responseTime = Date.now() - requestTime.getTime();
+					log(colors.dim(formattedTime), colors.yellow(ipAddress), colors[res.statusCode < 400 ? "green" : "red"](`Returned ${res.statusCode} in ${responseTime} ms`));
+				}
+
+				// Then we run the async function, errors are logged: the server keeps running.
+				run().catch((error) => {
+					log( colors.red( colors.symbols.cross)+colors.white(` ${req.method ?? 'GET'} ${req.url}: ${error.message}`));
+					if( !res.headersSent ) {
+						res.statusCode = 500;
+					}
+					res.end();
+				});
+			});
+
+			if( proxy ) {
+				srv.addListener( "upgrade", ( req, socket, head ) => {
+					if( proxy.match(req.url) ) {
+						proxy.ws( req, socket, head );
+					}
+				} );
+
+				for( const prefix in pkg.x4build.proxy ) {
+					const cfg = pkg.x4build.proxy[prefix];
+					log(colors.green( colors.symbols.starsOn)+colors.white(` proxy ${prefix} to ${cfg.target ?? cfg}`));
+				}
+			}
+
+		}
+
+		if( http_server ) {
+			const real_port = await listen( http_server, port, host );
+			disposers.push( ( ) => new Promise( ( resolve ) => {
+				http_server.close( resolve );
+				http_server.closeAllConnections( );
+			} ) );
+
+			if( real_port!=port ) {
+				log(colors.yellow( colors.symbols.warning)+colors.white(` port ${port} is in use, using ${real_port}`));
+			}
+
+			const scheme = https_cfg ? "https" : "http";
+			log(colors.green( colors.symbols.starsOn)+colors.white(` server listening on ${scheme}://${host}:${real_port}`));
+			emit( "server", { url: `${scheme}://${host}:${real_port}`, serve: serve_files, hmr: need_hmr } );
+
+			// for electron windows
+			const local_host = (host=="0.0.0.0" || host=="::") ? "127.0.0.1" : host;
+			hmr_client_url = `${scheme}://${local_host}:${real_port}${HMR_CLIENT}`;
+
+			if( host=="0.0.0.0" || host=="::" ) {
+				for( const addr of getLocalAddresses() ) {
+					log(colors.green( colors.symbols.starsOn)+colors.white(`                   on ${scheme}://${addr}:${real_port}`));
+				}
+			}
+
+			// routes or websockets added by the project
+			await callHook( onServe, "onServe", http_server, { ...hook_ctx, url: `${scheme}://${local_host}:${real_port}` } );
+		}
+
+		if( watch ) {
+			const entry_dirs = [...new Set( targets.flatMap( t => entriesOf(t).map( e => path.resolve(runningdir, path.dirname(e)) ) ) )];
+			const watch_paths = entry_dirs.filter( d => !entry_dirs.some( p => p!=d && isInside(p,d) ) );
+
+			// postBuild @copy sources
+			const copies = copySources( pkg.x4build?.postBuild, { outdir, srcdir: runningdir } );
+
+			const watcher = chokidar.watch( [...watch_paths, ...copies.map( c => c.watch )], {
+				ignoreInitial: true,		// files & folders added by source_watcher too
+				ignored: [
+					/.*\.map$/,
+					/\.module\.(css|less|s[ac]ss)\.d\.ts$/,		// written by the build
+				]
+			});
+
+			disposers.push( ( ) => watcher.close( ) );
+
+			// files used by the builds outside the entry folders (tsconfig paths, shared packages, less imports...)
+			let inputs = new Set( );
+
+			source_watcher = {
+				update( ) {
+					const used = new Set( targets.flatMap( t => [...t.inputs, ...t.watchDirs] ).filter( f => !watch_paths.some( d => isInside(d, f) ) ) );
+					
+					const added = [...used].filter( f => !inputs.has(f) );
+					const removed = [...inputs].filter( f => !used.has(f) && !copies.some( c => isInside(c.watch, f) ) );
+
+					if( added.length ) {
+						watcher.add( added );
+					}
+
+					if( removed.length ) {
+						watcher.unwatch( removed );
+					}
+
+					inputs = used;
+				}
+			};
+
+			let isReady = false;
+			let tmRebuild = new Timer( );
+
+			function handleChange(changePath) {
+
+				if (!isReady) {
+					return;
+				}
+
+				changePath = path.resolve( runningdir, changePath );
+
+				// assets are copied again, the build is not needed
+				const used = targets.some( t => t.inputs.has(changePath) ) || isScanned( changePath );
+				if( !used && copyChange( changePath ) ) {
+					return;
+				}
+
+				if( !used && !watch_paths.some( d => isInside(d, changePath) ) ) {
+					return;
+				}
+
+				tmRebuild.start( ( ) => {
+					runBuild( );
+				}, 1000 );
+			}
+
+			/**
+			 * @returns true if the file is in a folder read by the styles (tailwind content), outputs excepted
+			 */
+
+			function isScanned( fname ) {
+				return targets.some( t => [...t.watchDirs].some( d => isInside(d, fname) ) ) && !outdirsOf( targets ).some( d => isInside(d, fname) );
+			}
+
+			/**
+			 * @returns true if the file is a @copy source
+			 */
+
+			function copyChange( fname ) {
+				const dests = copies.map( c => c.dest( fname ) ).filter( d => d );
+				for( const dest of dests ) {
+					try {
+						if( fs.existsSync(fname) ) {
+							fse.copySync( fname, dest );
+							log( colors.green( colors.symbols.check)+colors.white(` ${path.relative(runningdir, fname)} copied`));
+						}
+						else {
+							fse.removeSync( dest );
+							log( colors.green( colors.symbols.check)+colors.white(` ${path.relative(runningdir, dest)} removed`));
+						}
+					}
+					catch( e ) {
+						log( colors.red( colors.symbols.cross)+colors.white(` cannot copy ${fname}: ${e.message}`));
+					}
+				}
+
+				return dests.length>0;
+			}
+
+			watcher
+				.on("change", handleChange)
+				.on("add", handleChange)
+				.on("unlink", handleChange)
+				.on("addDir", handleChange)
+				.on("unlinkDir", handleChange)
+				.on("ready", function () {
+					isReady = true;
+				})
+				.on("error", function (err) {
+					log("ERROR:", err);
+				});
+
+				log(colors.green( colors.symbols.starsOn)+colors.white(` watching for modifications on ${watch_paths.join(", ")}` ) );
+		}
+	}
+
+	log(colors.cyan.bold("\n:::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::\n"));
+
+	await runBuild( );
+
+	return {
+		get result( ) {
+			return last_result;
+		},
+
+		persistent: watch || serve_files || need_hmr || !!options.monitor || run_electron,
+
+		// a change of these files restarts the build (watch mode)
+		configFiles: [
+			path.resolve( runningdir, "package.json" ),
+			...tscfg.configFiles,
+			path.resolve( runningdir, "x4build.config.mjs" ),
+			...envFiles( mode ).map( f => path.resolve(runningdir, f) ),
+			...POSTCSS_CONFIGS.map( f => path.resolve(runningdir, f) ),
+		],
+
+		rebuild( ) {
+			if( disposed ) {
+				return Promise.reject( new Error( "the build context is disposed." ) );
+			}
+
+			return runBuild( );
+		},
+
+		async dispose( ) {
+			if( !disposed ) {
+				disposed = true;
+				await building;
+				await Promise.all( disposers.map( d => d( ) ) );
+			}
+		},
+	};
+}
+
+/**
+ * defines of a target: DEBUG, x4build.define, import.meta.env & process.env (browser)
+ */
+
+function projectDefines( pkg, env, release, target ) {
+	const mode = release ? "production" : "development";
+	const override = pkg.x4build?.override ?? {};
+	const defines = release ? {} : { DEBUG: "1" };
+
+	for( const name in pkg.x4build?.define ) {
+		const value = pkg.x4build.define[name];
+		defines[name] = typeof value === "string" ? value : JSON.stringify( value );
+	}
+
+	const meta_env = {
+		...env.vars,
+		MODE: mode,
+		DEV: !release,
+		PROD: release,
+	};
+
+	// no define of the whole import.meta.env object: 
+	// esbuild would add it as a module to bundles containing commonjs modules
+	for( const name in meta_env ) {
+		defines[`import.meta.env.${name}`] = JSON.stringify( meta_env[name] );
+	}
+
+	// node has a real process.env
+	if( target.platform=="browser" ) {
+		defines["process.env.NODE_ENV"] = JSON.stringify( mode );
+		for( const name in env.vars ) {
+			defines[`process.env.${name}`] = JSON.stringify( env.vars[name] );
+		}
+	}
+
+	// override.define is merged, not replaced
+	return {
+		...defines,
+		...override.define,
+		...target.override.define,
+	};
+}
+
+/**
+ * loaders of a target
+ */
+
+function projectLoaders( pkg, target ) {
+	return {
+		'.png': 'file',
+		'.webp': 'file',
+		'.svg': 'file',
+		'.jpg': 'file',
+		'.jpeg': 'file',
+		'.json': 'json',
+		'.ttf': 'dataurl',
+		...pkg.x4build?.loaders,
+		...target.loaders,
+	};
+}
+
+/**
+ * esm browser targets are built with code splitting: lazy imports are separate chunks
+ */
+
+function isSplit( target ) {
+	return target.format=="esm" && target.platform=="browser";
+}
+
+/**
+ * esm html targets: the classic scripts of the pages become modules,
+ * the html plugin builds them as esm with splitting
+ */
+
+function moduleScriptsPlugin( ) {
+	const plugin = {
+		name: 'module-scripts',
+
+		setup( pluginBuild ) {
+			// transforms run before the html plugin one
+			const build = useRna( plugin, pluginBuild );
+
+			// sub builds of the previous rebuilds would stay in the metafile (old hashed names)
+			pluginBuild.onStart( ( ) => {
+				build.builds.clear( );
+			} );
+
+			build.onTransform( { filter: /\.html$/ }, ( args ) => {
+				const code = args.code.replace( /<script\b([^>]*)>/gi, ( tag, attrs ) => {
+					const type = attrs.match( /\btype\s*=\s*["']?([^"'\s>]+)/i )?.[1];
+					if( !/\bsrc\s*=/i.test(attrs) || /\bnomodule\b/i.test(attrs) || (type && !/^(text|application)\/javascript$/i.test(type)) ) {
+						return tag;
+					}
+
+					return `<script${attrs.replace( /\s*\btype\s*=\s*["']?[^"'\s>]+["']?/i, "" )} type="module">`;
+				} );
+
+				return { code };
+			} );
+		}
+	}
+
+	return plugin;
+}
+
+/**
+ * esm pages: modulepreload links for the chunks statically imported by the module scripts
+ * lazy chunks are loaded on demand
+ */
+
+function addModulePreloads( metafile, runningdir ) {
+	const outputs = metafile?.outputs ?? {};
+
+	for( const out of Object.keys(outputs) ) {
+		if( !out.endsWith(".html") ) {
+			continue;
+		}
+
+		const fname = path.resolve( runningdir, out );
+		const dir = path.dirname( fname );
+		let html = fs.readFileSync( fname, "utf-8" );
+
+		const preloads = new Set( );
+		const collect = ( file ) => {
+			for( const imp of outputs[file]?.imports ?? [] ) {
+				if( imp.kind=="import-statement" && outputs[imp.path] && !preloads.has(imp.path) ) {
+					preloads.add( imp.path );
+					collect( imp.path );
+				}
+			}
+		}
+
+		for( const [tag] of html.matchAll( /<script\b[^>]*\btype="module"[^>]*>/gi ) ) {
+			const src = tag.match( /\bsrc="([^"]+)"/i )?.[1];
+			if( src && !/^([a-z]+:|\/)/i.test(src) ) {
+				collect( path.relative( runningdir, path.resolve(dir, src) ).replaceAll( "\\", "/" ) );
+			}
+		}
+
+		if( !preloads.size ) {
+			continue;
+		}
+
+		// same indentation as the last element of head
+		const indent = html.match( /\n([ \t]*)<[^\n]*\n[ \t]*<\/head>/i )?.[1] ?? "";
+		const links = [...preloads].map( f => `${indent}<link rel="modulepreload" href="${path.relative(dir, path.resolve(runningdir, f)).replaceAll("\\", "/")}">` ).join( "\n" );
+		html = /<\/head>/i.test(html) ? html.replace( /(\n?[ \t]*)<\/head>/i, "\n"+links+"$1</head>" ) : links+"\n"+html;
+		fs.writeFileSync( fname, html );
+	}
+}
+
+/**
+ * rebuilds with splitting: entries & chunks have hashed names
+ * the files of the previous build that are not produced any more are removed
+ */
+
+function pruneOutputs( previous, metafile, runningdir ) {
+	const outputs = metafile?.outputs ?? {};
+	for( const out of Object.keys(previous?.outputs ?? {}) ) {
+		if( !outputs[out] ) {
+			fs.rmSync( path.resolve(runningdir, out), { force: true } );
+		}
+	}
+}
+
+/**
+ * tsconfig paths & baseUrl, bare specifiers only: relative & absolute paths are left to esbuild
+ * like typescript, only the project sources use them: packages keep their own imports
+ */
+
+function pathsPlugin( resolvePath ) {
+	return {
+		name: 'paths',
+
+		setup( build ) {
+			build.onResolve( { filter: /^[^./]/ }, ( args ) => {
+				if( /[\\/]node_modules[\\/]/.test(args.importer) ) {
+					return undefined;
+				}
+
+				const found = resolvePath( args.path );
+				return found ? { path: found } : undefined;
+			} );
+		}
+	}
+}
+
+/**
+ * tsconfig given to esbuild when the project has paths or baseUrl: esbuild would also apply them to the packages,
+ * pathsPlugin does it for the project sources only
+ * @returns file name
+ */
+
+function writeBuildTSConfig( tscfg, runningdir ) {
+	const { paths, baseUrl, pathsBasePath, outDir, rootDir, ...compilerOptions } = tscfg.compilerOptions;
+
+	const fname = path.resolve( runningdir, "node_modules/.x4build/tsconfig.json" );
+	fs.mkdirSync( path.dirname(fname), { recursive: true } );
+	writeJSON( fname, { compilerOptions } );
+	return fname;
+}
+
+/**
+ * project settings: package.json, tsconfig.json & x4build.config.mjs (its settings override the package.json ones)
+ * @returns { pkg, tscfg, config }
+ */
+
+async function loadProject( release, runningdir ) {
+	const pkg = loadJSON( path.join(runningdir, "package.json") );
+	const tscfg = loadTSConfig( path.join(runningdir, "tsconfig.json") );
+
+	const config = await loadConfigFile( { release, mode: release ? "production" : "development" }, runningdir );
+	const { file, plugins, onStart, onEnd, onServe, ...settings } = config;
+	pkg.x4build = { ...pkg.x4build, ...settings };
+
+	return { pkg, tscfg, config };
+}
+
+/**
+ * project files used by a build (node_modules & virtual modules excluded)
+ * scoped css modules are read from their file (?scoped suffix)
+ */
+
+function inputsOf( metafile, runningdir ) {
+	return Object.keys( metafile?.inputs ?? {} )
+		.filter( f => !/^[\w-]{2,}:/.test(f) && !/[\\/]node_modules[\\/]/.test(f) )
+		.map( f => path.resolve(runningdir, f.replace( /\?scoped$/, "" )) );
+}
+
+/**
+ * plugin wrapper: the watchFiles & watchDirs returned by the plugin (less imports, tailwind content...) are added to the target ones
+ */
+
+function trackWatchFiles( plugin, target, runningdir ) {
+	return {
+		...plugin,
+		setup( build ) {
+			const track = ( register ) => ( filter, cb ) => register( filter, async ( args ) => {
+				const result = await cb( args );
+				result?.watchFiles?.forEach( f => !/[\\/]node_modules[\\/]/.test(f) && target.watchFiles.add( path.resolve(runningdir, f) ) );
+				result?.watchDirs?.forEach( d => !/[\\/]node_modules([\\/]|$)/.test(d) && target.watchDirs.add( path.resolve(runningdir, d) ) );
+				return result;
+			} );
+
+			return plugin.setup( { ...build, onResolve: track( build.onResolve ), onLoad: track( build.onLoad ) } );
+		}
+	}
+}
+
+/**
+ * distinct output folders of the targets, nested folders are removed
+ */
+
+function outdirsOf( targets ) {
+	const dirs = [...new Set( targets.map( t => t.outdir ) )];
+	return dirs.filter( d => !dirs.some( p => p!=d && isInside(p,d) ) );
+}
+
+/**
+ * refuse to clean a folder outside the project, the project itself or a sources folder
+ */
+
+function checkOutdir( outdir, targets, runningdir ) {
+	const problem = ( msg ) => {
+		throw new Error( `cannot clean ${outdir}: ${msg}.` );
+	}
+
+	if( !isInside(runningdir, outdir) || path.relative(runningdir, outdir)=="" ) {
+		problem( "the folder must be a subfolder of the project" );
+	}
+
+	for( const target of targets ) {
+		if( entriesOf(target).some( e => isInside(outdir, path.resolve(runningdir, e)) ) ) {
+			problem( `it contains the sources of ${target.name}` );
+		}
+	}
+}
+
+/**
+ * remove the files not in produced, then empty folders
+ * node_modules folders are kept (dist dependencies)
+ * @returns number of removed files
+ */
+
+function removeStaleFiles( dirs, produced ) {
+	let count = 0;
+
+	const scan = ( dir ) => {
+		for( const entry of fs.readdirSync(dir, { withFileTypes: true }) ) {
+			const fname = path.join( dir, entry.name );
+
+			if( entry.isDirectory() ) {
+				if( entry.name!="node_modules" ) {
+					scan( fname );
+					if( fs.readdirSync(fname).length==0 ) {
+						fs.rmdirSync( fname );
+					}
+				}
+			}
+			else if( !produced.has(fname) ) {
+				fs.rmSync( fname, { force: true } );
+				count++;
+			}
+		}
+	}
+
+	for( const dir of dirs ) {
+		if( fs.existsSync(dir) ) {
+			scan( dir );
+		}
+	}
+
+	return count;
+}
+
+/**
+ * load .env, .env.local, .env.<mode> and .env.<mode>.local files
+ * only variables starting with one of the prefixes are kept: 
+ * 	they will be visible in the bundle, other variables may be secrets
+ * process environment has precedence over files
+ * @returns { files, vars }
+ */
+
+const envFiles = ( mode ) => [".env", ".env.local", `.env.${mode}`, `.env.${mode}.local`];
+
+function loadEnv( mode, prefixes, runningdir ) {
+	if( typeof prefixes === "string" ) {
+		prefixes = [prefixes];
+	}
+
+	const files = [];
+	const all = {};
+
+	for( const name of envFiles(mode) ) {
+		const fname = path.resolve( runningdir, name );
+		if( fs.existsSync(fname) ) {
+			Object.assign( all, parseEnv( fs.readFileSync(fname, "utf-8") ) );
+			files.push( name );
+		}
+	}
+
+	Object.assign( all, process.env );
+
+	const vars = {};
+	for( const name in all ) {
+		if( prefixes.some( p => name.startsWith(p) ) ) {
+			vars[name] = all[name];
+		}
+	}
+
+	return { files, vars };
+}
+
+/**
+ * minimal .env parser
+ * 	# comment
+ * 	[export] NAME=value # comment
+ * 	NAME="value with\nescapes"
+ * 	NAME='raw value'
+ */
+
+function parseEnv( text ) {
+	const result = {};
+	const re = /^[ \t]*(?:export[ \t]+)?([\w.-]+)[ \t]*=[ \t]*("(?:\\.|[^"\\])*"|'[^']*'|[^#\r\n]*)/gm;
+
+	let m;
+	while( (m = re.exec(text)) !== null ) {
+		let value = m[2].trim( );
+
+		if( value.startsWith('"') ) {
+			value = value.slice( 1, -1 ).replace( /\\(.)/g, ( _, c ) => ({ n: "\n", r: "\r", t: "\t" })[c] ?? c );
+		}
+		else if( value.startsWith("'") ) {
+			value = value.slice( 1, -1 );
+		}
+
+		result[m[1]] = value;
+	}
+
+	return result;
+}
+
+/**
+ * build targets: x4build.targets or the package main entry
+ * each target: { 
+ * 	name, 
+ * 	type: "html" (html & less plugins) or "node" - default: "html" for html entries else the project type,
+ * 	entryPoints, platform, format, outdir, external, loaders, override 
+ * }
+ */
+
+function resolveTargets( pkg, type, outdir, runningdir ) {
+	const cfg = pkg.x4build?.targets;
+
+	// x4build.format: default format of the browser targets
+	const formatOf = ( platform ) => (platform=="browser" ? pkg.x4build?.format : null) ?? "iife";
+
+	if( !Array.isArray(cfg) || !cfg.length ) {
+		const platform = (type=="node" || type=="electron") ? "node" : "browser";
+		return [{
+			name: pkg.name ?? "main",
+			type,
+			entryPoints: [pkg.main],
+			platform,
+			format: formatOf( platform ),
+			outdir,
+			external: [],
+			loaders: {},
+			override: {},
+		}];
+	}
+
+	return cfg.map( ( t, index ) => {
+		let entryPoints = t.entryPoints ?? t.main;
+		if( typeof entryPoints === "string" ) {
+			entryPoints = [entryPoints];
+		}
+
+		if( !entryPoints ) {
+			throw new Error( `target ${t.name ?? index} has no entryPoints.` );
+		}
+
+		const target = { entryPoints };
+		const is_html = entriesOf( target ).some( e => /\.html?$/i.test(e) );
+		const ttype = t.type ?? (is_html ? "html" : type);
+		const platform = t.platform ?? (ttype=="html" ? "browser" : "node");
+
+		return {
+			name: t.name ?? `target${index+1}`,
+			type: ttype,
+			entryPoints,
+			platform,
+			format: t.format ?? formatOf( platform ),
+			outdir: t.outdir ? path.resolve( runningdir, t.outdir ) : outdir,
+			external: t.external ?? [],
+			loaders: t.loaders ?? {},
+			override: t.override ?? {},
+		}
+	} );
+}
+
+/**
+ * entry points may be an array or an { out: in } object
+ */
+
+function entriesOf( target ) {
+	const ep = target.entryPoints;
+	return Array.isArray(ep) ? ep.map( e => e.in ?? e ) : Object.values( ep );
+}
+
+
+// :: CONFIG ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+/**
+ * x4build.config.mjs of the project:
+ * export default { ...x4build settings, plugins, onStart, onEnd, onServe }
+ * the default export may be a function ( { release, mode } ) => config
+ * @returns {} if there is no config file
+ */
+
+async function loadConfigFile( env, runningdir ) {
+	const fname = path.resolve( runningdir, "x4build.config.mjs" );
+	if( !fs.existsSync(fname) ) {
+		return {};
+	}
+
+	try {
+		// watch mode: the file is imported again when it changes
+		const mod = await import( url.pathToFileURL(fname).href+"?t="+fs.statSync(fname).mtimeMs );
+		let config = mod.default ?? {};
+		if( typeof config === "function" ) {
+			config = await config( env );
+		}
+
+		return { ...config, file: fname };
+	}
+	catch( e ) {
+		throw new Error( `cannot load ${fname}: ${e.message}` );
+	}
+}
+
+// :: TASKS :::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+/**
+ * run a task list, a group { parallel: true, tasks: [...] } runs its tasks together
+ * sequential tasks stop at the first failure
+ * @returns number of failed tasks
+ */
+
+async function runTasks( tasks, ctx ) {
+	let parallel = false;
+
+	if( tasks.tasks ) {
+		parallel = tasks.parallel ?? false;
+		tasks = tasks.tasks;
+	}
+
+	if( !Array.isArray(tasks) ) {
+		tasks = [tasks];
+	}
+
+	const run = async ( task ) => task.tasks ? await runTasks( task, ctx )==0 : await runTask( task, ctx );
+
+	if( parallel ) {
+		const results = await Promise.all( tasks.map( run ) );
+		return results.filter( ok => !ok ).length;
+	}
+
+	for( const task of tasks ) {
+		if( !await run(task) ) {
+			return 1;
+		}
+	}
+
+	return 0;
+}
+
+/**
+ * run a preBuild/postBuild task: "command line", "@builtin args" or { run, cwd, env }
+ * ${outdir} and ${srcdir} are replaced, cwd is relative to the project
+ * @returns false when the task failed (error displayed)
+ */
+
+async function runTask( task, ctx ) {
+	const command = taskCommand( task, ctx );
+	const { spec, cwd, line } = command;
+
+	log( colors.green(colors.symbols.pointer)+colors.white( " "+line) );
+
+	const start = Date.now( );
+	const done = ( ok, error ) => emit( "task", { phase: ctx.phase, task: line, ok, error, duration: Date.now( )-start } );
+
+	try {
+		if( !line ) {
+			throw new Error( "empty task" );
+		}
+
+		if( line.startsWith('@') ) {
+			const [name, ...args] = command.args( );
+			const builtin = BUILTIN_TASKS[name.substring(1)];
+			if( !builtin ) {
+				throw new Error( `unknown task ${name}, use one of @${Object.keys(BUILTIN_TASKS).join(", @")}` );
+			}
+
+			builtin( args, cwd, ctx.values );
+		}
+		else {
+			const code = await new Promise( ( resolve, reject ) => {
+				const proc = spawn( command.command( ), {
+					cwd,
+					env: { ...process.env, ...spec.env },
+					shell: true,
+					stdio: childStdio( )
+				} );
+
+				proc.on( "error", reject );
+				proc.on( "exit", ( code, signal ) => resolve( signal ?? code ) );
+			} );
+
+			if( code!==0 ) {
+				throw new Error( typeof code=="string" ? `killed by ${code}` : `exit code ${code}` );
+			}
+		}
+
+		done( true );
+		return true;
+	}
+	catch( e ) {
+		log( colors.red( colors.symbols.cross)+colors.white(` task failed: ${line}`));
+		log( colors.red( colors.symbols.cross)+colors.white(`   ${e.message}`));
+		done( false, e.message );
+		return false;
+	}
+}
+
+const TASK_VARS = /\$\{\w*(outdir|srcdir)\w*\}/ig;
+
+/**
+ * command line of a task, ${outdir} and ${srcdir} are replaced:
+ * line is displayed, args( ) are the built-in arguments, command( ) the shell command
+ * paths with spaces stay one argument
+ */
+
+function taskCommand( task, ctx ) {
+	const spec = typeof task=="string" ? { run: task } : task;
+	const cwd = path.resolve( ctx.srcdir, spec.cwd ?? "." );
+	const raw = (spec.run ?? "").trim( );
+
+	const values = { outdir: path.resolve(ctx.srcdir, ctx.outdir), srcdir: ctx.srcdir };
+	const value = ( m, name ) => values[name.toLowerCase()];
+
+	return {
+		spec,
+		cwd,
+		line: raw.replaceAll( TASK_VARS, value ),
+		args: ( ) => parseTaskArgs( raw ).map( a => a.replaceAll( TASK_VARS, value ) ),
+		command: ( ) => shellReplace( raw, TASK_VARS, value ),
+	};
+}
+
+/**
+ * replace in a shell command, the values are quoted unless the command quotes them
+ */
+
+function shellReplace( line, re, value ) {
+	const quoteArg = ( v ) => {
+		if( /^[\w@%+=:,./\\-]+$/.test(v) ) {
+			return v;
+		}
+
+		return process.platform=="win32" ? `"${v}"` : `'${v.replaceAll("'", "'\\''")}'`;
+	}
+
+	let result = "";
+	let quote = null;
+	let last = 0;
+
+	for( const m of line.matchAll( re ) ) {
+		const before = line.substring( last, m.index );
+		for( const c of before ) {
+			if( quote ? c==quote : (c=='"' || c=="'") ) {
+				quote = quote ? null : c;
+			}
+		}
+
+		const v = value( ...m );
+		result += before+(quote ? v : quoteArg(v));
+		last = m.index+m[0].length;
+	}
+
+	return result+line.substring( last );
+}
+
+/**
+ * sources of the @copy tasks (watch mode): a changed source file is copied again without building
+ * @returns [{ watch, dest( fname ) }], dest returns the copy of fname or null if fname is not copied
+ */
+
+function copySources( tasks, ctx ) {
+	const result = [];
+
+	const scan = ( task ) => {
+		if( Array.isArray(task) || task.tasks ) {
+			(task.tasks ?? task).forEach( scan );
+			return;
+		}
+
+		const { cwd, line, args: taskArgs } = taskCommand( task, ctx );
+		if( !line.startsWith("@copy ") ) {
+			return;
+		}
+
+		let args;
+		try {
+			args = taskArgs( ).slice( 1 );
+		}
+		catch( e ) {
+			// reported when the task runs
+			return;
+		}
+
+		if( args.length<2 ) {
+			return;
+		}
+
+		// same destinations as transfer()
+		const dst = path.resolve( cwd, args.pop() );
+		const into = args.length>1 || args.some( isGlob );
+
+		for( const src of args ) {
+			if( isGlob(src) ) {
+				const { base, re } = splitGlob( src, cwd );
+				result.push( {
+					watch: base,
+					dest: ( fname ) => {
+						const rel = path.relative( base, fname ).replaceAll( "\\", "/" );
+						return isInside(base, fname) && re.test(rel) ? path.join(dst, rel) : null;
+					}
+				} );
+			}
+			else {
+				const file = path.resolve( cwd, src );
+				const copy = into ? path.join(dst, path.basename(file)) : dst;
+				result.push( {
+					watch: file,
+					dest: ( fname ) => isInside(file, fname) ? path.join(copy, path.relative(file, fname)) : null
+				} );
+			}
+		}
+	}
+
+	if( tasks ) {
+		scan( tasks );
+	}
+
+	return result;
+}
+
+/**
+ * split a task line on spaces, "double" or 'single' quoted parts are kept together
+ */
+
+function parseTaskArgs( line ) {
+	const args = [];
+	let cur = null;
+	let quote = null;
+
+	for( const c of line ) {
+		if( quote ) {
+			if( c==quote ) {
+				quote = null;
+			}
+			else {
+				cur += c;
+			}
+		}
+		else if( c=='"' || c=="'" ) {
+			quote = c;
+			cur ??= "";
+		}
+		else if( /\s/.test(c) ) {
+			if( cur!==null ) {
+				args.push( cur );
+				cur = null;
+			}
+		}
+		else {
+			cur = (cur ?? "")+c;
+		}
+	}
+
+	if( quote ) {
+		throw new Error( `missing ${quote}` );
+	}
+
+	if( cur!==null ) {
+		args.push( cur );
+	}
+
+	return args;
+}
+
+const isGlob = ( p ) => /[*?]/.test( p );
+
+/**
+ * folder before the first wildcard & regexp of the remaining part
+ */
+
+function splitGlob( pattern, cwd ) {
+	const parts = path.resolve( cwd, pattern ).replaceAll( "\\", "/" ).split( "/" );
+	const i = parts.findIndex( isGlob );
+
+	return {
+		base: parts.slice( 0, i ).join( "/" ) || "/",
+		re: globToRegExp( parts.slice( i ).join( "/" ) ),
+	};
+}
+
+/**
+ * files matching a glob (relative to cwd)
+ * @returns [{ file, rel }], rel: path relative to the folder before the first wildcard
+ */
+
+function expandGlob( pattern, cwd ) {
+	const { base, re } = splitGlob( pattern, cwd );
+
+	if( !fs.existsSync(base) ) {
+		return [];
+	}
+
+	return listFiles( base ).filter( f => re.test(f) ).map( f => ({ file: path.join(base, f), rel: f }) );
+}
+
+/**
+ * sources of copy/move: a single path goes to dst, several paths or globs go in dst
+ */
+
+function transfer( args, cwd, fn ) {
+	if( args.length<2 ) {
+		throw new Error( "source and destination expected" );
+	}
+
+	const dst = path.resolve( cwd, args.pop() );
+	const into = args.length>1 || args.some( isGlob );
+
+	for( const src of args ) {
+		if( isGlob(src) ) {
+			const files = expandGlob( src, cwd );
+			if( !files.length ) {
+				throw new Error( `no file matches ${src}` );
+			}
+
+			files.forEach( f => fn( f.file, path.join(dst, f.rel) ) );
+		}
+		else {
+			const file = path.resolve( cwd, src );
+			fn( file, into ? path.join(dst, path.basename(file)) : dst );
+		}
+	}
+}
+
+/**
+ * built-in tasks (same behaviour on windows & linux)
+ */
+
+const BUILTIN_TASKS = {
+
+	// @copy <src|glob>... <dst>
+	copy( args, cwd ) {
+		transfer( args, cwd, ( src, dst ) => fse.copySync( src, dst ) );
+	},
+
+	// @move <src|glob>... <dst>
+	move( args, cwd ) {
+		transfer( args, cwd, ( src, dst ) => fse.moveSync( src, dst, { overwrite: true } ) );
+	},
+
+	// @rm <path|glob>...
+	rm( args, cwd ) {
+		for( const p of args ) {
+			const files = isGlob(p) ? expandGlob( p, cwd ).map( f => f.file ) : [path.resolve(cwd, p)];
+			files.forEach( f => fse.removeSync( f ) );
+		}
+	},
+
+	// @mkdir <dir>...
+	mkdir( args, cwd ) {
+		args.forEach( d => fs.mkdirSync( path.resolve(cwd, d), { recursive: true } ) );
+	},
+
+	// @replace <file|glob>... [NAME=value]...
+	// {{name}} is replaced in the files by the value (name, version, mode, date, env variables & arguments)
+	replace( args, cwd, values ) {
+		values = { ...values };
+
+		const files = [];
+		for( const arg of args ) {
+			const eq = arg.indexOf( "=" );
+			if( eq>0 ) {
+				values[arg.substring(0,eq)] = arg.substring( eq+1 );
+			}
+			else if( isGlob(arg) ) {
+				files.push( ...expandGlob( arg, cwd ).map( f => f.file ) );
+			}
+			else {
+				files.push( path.resolve(cwd, arg) );
+			}
+		}
+
+		if( !files.length ) {
+			throw new Error( "no file to process" );
+		}
+
+		for( const file of files ) {
+			const text = fs.readFileSync( file, "utf-8" );
+			const result = text.replace( /\{\{\s*([\w.-]+)\s*\}\}/g, ( m, name ) => values[name] ?? m );
+			if( result!=text ) {
+				fs.writeFileSync( file, result );
+			}
+		}
+	},
+}
+
+// :: ANALYZE ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+/**
+ * sizes of outputs, modules and packages from an esbuild metafile
+ * raw: source size, min: size in the bundle, gzip: compressed size
+ * module gzip sizes are estimated with the compression ratio of their output file
+ */
+
+function analyzeMetafile( metafile, outdir, runningdir ) {
+	const outputs = [];
+	const modules = new Map( );
+
+	for( const [out, info] of Object.entries(metafile?.outputs ?? {}) ) {
+		if( out.endsWith(".map") ) {
+			continue;
+		}
+
+		const fname = path.resolve( runningdir, out );
+
+		let gzip = info.bytes;
+		try {
+			gzip = zlib.gzipSync( fs.readFileSync(fname) ).length;
+		}
+		catch( e ) {
+			// not written
+		}
+
+		const ratio = info.bytes ? gzip/info.bytes : 1;
+
+		outputs.push( {
+			file: path.relative( outdir, fname ).replaceAll( "\\", "/" ),
+			bytes: info.bytes,
+			gzip,
+			inputs: info.inputs,
+		} );
+
+		for( const [input, { bytesInOutput }] of Object.entries(info.inputs) ) {
+			let mod = modules.get( input );
+			if( !mod ) {
+				mod = { path: input, package: packageOf(input), raw: metafile.inputs[input]?.bytes ?? 0, min: 0, gzip: 0 };
+				modules.set( input, mod );
+			}
+
+			mod.min += bytesInOutput;
+			mod.gzip += Math.round( bytesInOutput*ratio );
+		}
+	}
+
+	const packages = new Map( );
+	for( const mod of modules.values() ) {
+		let pkg = packages.get( mod.package );
+		if( !pkg ) {
+			pkg = { name: mod.package, modules: 0, raw: 0, min: 0, gzip: 0 };
+			packages.set( mod.package, pkg );
+		}
+
+		pkg.modules++;
+		pkg.raw += mod.raw;
+		pkg.min += mod.min;
+		pkg.gzip += mod.gzip;
+	}
+
+	const bySize = ( a, b ) => b.min-a.min;
+
+	return {
+		outputs: outputs.sort( (a,b) => b.bytes-a.bytes ),
+		modules: [...modules.values()].sort( bySize ),
+		packages: [...packages.values()].sort( bySize ),
+	}
+}
+
+/**
+ * package name of a module path, "(project)" for project files
+ */
+
+function packageOf( input ) {
+	const parts = input.replaceAll( "\\", "/" ).split( "/" );
+	const i = parts.lastIndexOf( "node_modules" );
+	if( i<0 || i+1>=parts.length ) {
+		return "(project)";
+	}
+
+	const name = parts[i+1];
+	return name.startsWith("@") ? name+"/"+parts[i+2] : name;
+}
+
+function formatSize( bytes ) {
+	if( bytes<1024 ) {
+		return bytes+" b";
+	}
+
+	if( bytes<1024*1024 ) {
+		return (bytes/1024).toFixed(1)+" kb";
+	}
+
+	return (bytes/1024/1024).toFixed(2)+" mb";
+}
+
+/**
+ * "250kb", "1.5mb", "300" or a number to bytes
+ */
+
+function parseSize( size ) {
+	if( typeof size === "number" ) {
+		return size;
+	}
+
+	const m = /^\s*([\d.]+)\s*(b|k|kb|m|mb)?\s*$/i.exec( size );
+	if( !m ) {
+		throw new Error( `invalid size ${size}` );
+	}
+
+	const mul = { k: 1024, kb: 1024, m: 1024*1024, mb: 1024*1024 }[m[2]?.toLowerCase()] ?? 1;
+	return Math.round( parseFloat(m[1])*mul );
+}
+
+function printAnalysis( name, analysis, max_modules = 20 ) {
+
+	const row = ( label, ...sizes ) => {
+		if( label.length>48 ) {
+			label = "..."+label.substring( label.length-45 );
+		}
+
+		return " "+label.padEnd(48)+sizes.map( s => (typeof s === "number" ? formatSize(s) : s).padStart(12) ).join( "" );
+	}
+
+	log( colors.cyan(`\n:: analyze ${name} ::\n`) );
+
+	log( colors.green(row("output", "size", "gzip")) );
+	for( const out of analysis.outputs ) {
+		log( colors.white(row(out.file, out.bytes, out.gzip)) );
+	}
+
+	log( colors.green("\n"+row("package", "raw", "min", "gzip~")) );
+	for( const pkg of analysis.packages ) {
+		log( colors.white(row(`${pkg.name} (${pkg.modules})`, pkg.raw, pkg.min, pkg.gzip)) );
+	}
+
+	log( colors.green("\n"+row(`modules (${Math.min(max_modules, analysis.modules.length)}/${analysis.modules.length})`, "raw", "min", "gzip~")) );
+	for( const mod of analysis.modules.slice(0, max_modules) ) {
+		log( colors.white(row(mod.path, mod.raw, mod.min, mod.gzip)) );
+	}
+
+	log( "" );
+}
+
+/**
+ * glob to regexp: "*" matches a path part, "**" anything, "?" a character
+ */
+
+function globToRegExp( glob ) {
+	let re = "";
+	for( let i=0; i<glob.length; i++ ) {
+		const c = glob[i];
+
+		if( c=="*" ) {
+			if( glob[i+1]=="*" ) {
+				re += ".*";
+				i++;
+				if( glob[i+1]=="/" ) {
+					re += "/?";
+					i++;
+				}
+			}
+			else {
+				re += "[^/]*";
+			}
+		}
+		else if( c=="?" ) {
+			re += "[^/]";
+		}
+		else {
+			re += c.replace( /[.+^${}()|[\]\\]/, "\\$&" );
+		}
+	}
+
+	return new RegExp( "^"+re+"$" );
+}
+
+/**
+ * x4build.budgets: {
+ * 	outputs: { "assets/*.js": "250kb" },		// output file size
+ * 	packages: { "lodash": "50kb", "*": 100000 }	// size of the package in the bundle
+ * }
+ * @returns list of exceeded budgets
+ */
+
+function checkBudgets( budgets, targets ) {
+	const failures = [];
+
+	for( const target of targets ) {
+		const prefix = targets.length>1 ? target.name+": " : "";
+
+		for( const [glob, max] of Object.entries(budgets.outputs ?? {}) ) {
+			const re = globToRegExp( glob );
+			const limit = parseSize( max );
+
+			for( const out of target.analysis.outputs ) {
+				if( re.test(out.file) && out.bytes>limit ) {
+					failures.push( `${prefix}${out.file} is ${formatSize(out.bytes)}, max ${formatSize(limit)}` );
+				}
+			}
+		}
+
+		for( const [glob, max] of Object.entries(budgets.packages ?? {}) ) {
+			const re = globToRegExp( glob );
+			const limit = parseSize( max );
+
+			for( const pkg of target.analysis.packages ) {
+				if( re.test(pkg.name) && pkg.min>limit ) {
+					failures.push( `${prefix}package ${pkg.name} is ${formatSize(pkg.min)}, max ${formatSize(limit)}` );
+				}
+			}
+		}
+	}
+
+	return failures;
+}
+
+/**
+ * self-contained html treemap of the bundles
+ * tree: target / output / folders / modules, node_modules are grouped by package
+ */
+
+function writeTreemap( fname, targets ) {
+
+	const makeTree = ( name ) => ({ name, size: 0, children: {} });
+
+	const root = makeTree( "bundle" );
+	for( const target of targets ) {
+		const tnode = targets.length>1 ? (root.children[target.name] = makeTree(target.name)) : root;
+
+		for( const out of target.analysis.outputs ) {
+			const onode = tnode.children[out.file] = makeTree( out.file );
+			onode.gzip = out.gzip;
+
+			for( const [input, { bytesInOutput }] of Object.entries(out.inputs) ) {
+				const pkg = packageOf( input );
+				const parts = pkg=="(project)" ? input.split("/") : ["node_modules", pkg, input.split(pkg+"/").pop()];
+
+				let node = onode;
+				for( const part of parts ) {
+					node = node.children[part] ??= makeTree( part );
+				}
+
+				node.size = bytesInOutput;
+			}
+		}
+	}
+
+	// sizes of folders, children as arrays
+	const finish = ( node ) => {
+		const children = Object.values( node.children ).map( finish );
+		if( children.length ) {
+			node.size = children.reduce( (n,c) => n+c.size, 0 );
+			node.children = children.sort( (a,b) => b.size-a.size );
+		}
+		else {
+			delete node.children;
+		}
+
+		return node;
+	}
+
+	const data = JSON.stringify( finish(root) ).replaceAll( "</", "<\\/" );
+	fs.writeFileSync( fname, TREEMAP_HTML.replace( "/*DATA*/", data ) );
+}
+
+const TREEMAP_HTML = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>x4build bundle analysis</title>
+<style>
+	body { margin: 0; font: 12px sans-serif; background: #222; color: #eee; display: flex; flex-direction: column; height: 100vh; }
+	header { padding: 8px 12px; background: #333; }
+	header span { cursor: pointer; color: #6cf; }
+	#map { position: relative; flex: 1; margin: 4px; }
+	.node { position: absolute; box-sizing: border-box; border: 1px solid #222; overflow: hidden; cursor: pointer; padding: 2px 4px; color: #111; }
+	.node:hover { filter: brightness(1.15); }
+</style>
+</head>
+<body>
+<header id="path"></header>
+<div id="map"></div>
+<script>
+const data = /*DATA*/;
+const map = document.getElementById( "map" );
+const header = document.getElementById( "path" );
+
+function fmt( n ) {
+	return n<1024 ? n+" b" : n<1048576 ? (n/1024).toFixed(1)+" kb" : (n/1048576).toFixed(2)+" mb";
+}
+
+function color( name ) {
+	let h = 0;
+	for( const c of name ) h = (h*31+c.charCodeAt(0))%360;
+	return "hsl("+h+",55%,65%)";
+}
+
+// squarified layout of the children of node in the rect x,y,w,h
+function layout( nodes, x, y, w, h, out ) {
+	const total = nodes.reduce( (n,c) => n+c.size, 0 );
+	if( !total ) return;
+
+	const scale = w*h/total;
+	let row = [], i = 0;
+
+	const worst = ( row, side ) => {
+		const s = row.reduce( (n,c) => n+c.size*scale, 0 );
+		let r = 0;
+		for( const c of row ) {
+			const a = c.size*scale;
+			r = Math.max( r, Math.max( side*side*a/(s*s), s*s/(side*side*a) ) );
+		}
+		return r;
+	};
+
+	while( i<nodes.length ) {
+		const side = Math.min( w, h );
+		const next = [...row, nodes[i]];
+
+		if( !row.length || worst(next,side)<=worst(row,side) ) {
+			row = next;
+			i++;
+			continue;
+		}
+
+		[x, y, w, h] = place( row, x, y, w, h, scale, out );
+		row = [];
+	}
+
+	if( row.length ) place( row, x, y, w, h, scale, out );
+}
+
+function place( row, x, y, w, h, scale, out ) {
+	const s = row.reduce( (n,c) => n+c.size*scale, 0 );
+	if( w>=h ) {
+		const cw = s/h;
+		let cy = y;
+		for( const c of row ) { const ch = c.size*scale/cw; out.push( [c, x, cy, cw, ch] ); cy += ch; }
+		return [x+cw, y, w-cw, h];
+	}
+	else {
+		const ch = s/w;
+		let cx = x;
+		for( const c of row ) { const cw = c.size*scale/ch; out.push( [c, cx, y, cw, ch] ); cx += cw; }
+		return [x, y+ch, w, h-ch];
+	}
+}
+
+function draw( stack ) {
+	const node = stack[stack.length-1];
+	map.innerHTML = "";
+
+	header.innerHTML = "";
+	stack.forEach( (n,i) => {
+		const span = document.createElement( i<stack.length-1 ? "span" : "b" );
+		span.textContent = n.name+(i<stack.length-1 ? " / " : "  ("+fmt(n.size)+(n.gzip ? ", gzip "+fmt(n.gzip) : "")+")");
+		span.onclick = () => show( stack.slice(0,i+1) );
+		header.appendChild( span );
+	} );
+
+	const out = [];
+	layout( node.children ?? [node], 0, 0, map.clientWidth, map.clientHeight, out );
+
+	for( const [c, x, y, w, h] of out ) {
+		const div = document.createElement( "div" );
+		div.className = "node";
+		div.style.cssText = "left:"+x+"px;top:"+y+"px;width:"+w+"px;height:"+h+"px;background:"+color(c.name);
+		div.title = c.name+" "+fmt(c.size)+" ("+(c.size*100/node.size).toFixed(1)+"%)";
+		if( w>40 && h>14 ) div.textContent = c.name+" "+fmt(c.size);
+		if( c.children ) div.onclick = () => show( [...stack, c] );
+		map.appendChild( div );
+	}
+}
+
+let current = [data];
+
+function show( stack ) {
+	current = stack;
+	draw( stack );
+}
+
+window.onresize = () => draw( current );
+show( current );
+</script>
+</body>
+</html>
+`;
+
+// :: MONITOR :::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+/**
+ * child process supervisor
+ * restart() waits for the end of the running process (SIGTERM, then SIGKILL after the grace period)
+ * a crashed process is restarted after a delay that grows while it crashes quickly (crash loop)
+ */
+
+class Supervisor {
+
+	constructor( { name, command, args, cwd, env, grace } ) {
+		this.name = name;
+		this.command = command;
+		this.args = args ?? [];
+		this.cwd = cwd;
+		this.env = env ?? {};
+		this.grace = grace ?? 3000;
+
+		this.proc = null;
+		this.crashes = 0;
+		this.lastExit = null;
+		this.timer = null;
+		this.queue = Promise.resolve( );		// start/stop are serialized
+	}
+
+	/**
+	 * stop the process, then start it again
+	 */
+
+	restart( ) {
+		this.crashes = 0;
+		clearTimeout( this.timer );
+
+		this.queue = this.queue.then( async ( ) => {
+			await this.stop( );
+			this.start( );
+		} );
+
+		return this.queue;
+	}
+
+	start( ) {
+		log( colors.green( colors.symbols.pointer)+colors.white(` starting ${this.name}`));
+
+		const started = Date.now( );
+		const proc = spawn( this.command, this.args, {
+			cwd: this.cwd,
+			env: { ...process.env, ...this.env },
+			stdio: childStdio( "ignore" ),
+		} );
+
+		this.proc = proc;
+
+		proc.exited = new Promise( ( resolve ) => {
+			proc.once( "error", ( e ) => {
+				this.lastExit = `cannot start: ${e.message}`;
+				log( colors.red( colors.symbols.cross)+colors.white(` ${this.name}: ${this.lastExit}`));
+
+				if( this.proc===proc ) {
+					this.proc = null;
+				}
+				resolve( );
+			} );
+
+			proc.once( "exit", ( code, signal ) => {
+				if( this.proc===proc ) {
+					this.proc = null;
+				}
+
+				resolve( );
+				this._exited( proc, code, signal, Date.now( )-started );
+			} );
+		} );
+	}
+
+	_exited( proc, code, signal, uptime ) {
+		if( proc.stopping ) {
+			if( signal=="SIGKILL" ) {
+				this.lastExit = `killed, still running ${this.grace} ms after SIGTERM`;
+			}
+			return;
+		}
+
+		const reason = signal ? `killed by ${signal}` : `exit code ${code}`;
+		const duration = uptime<1000 ? `${uptime} ms` : `${(uptime/1000).toFixed(1)} s`;
+
+		if( code===0 ) {
+			this.lastExit = `${reason} after ${duration}`;
+			log( colors.green( colors.symbols.check)+colors.white(` ${this.name}: ${this.lastExit}`));
+			return;
+		}
+
+		// crash: 1s, 2s, 4s... up to 30s while it does not run more than 10s
+		this.crashes = uptime<10000 ? this.crashes+1 : 1;
+		const delay = Math.min( 1000*2**(this.crashes-1), 30000 );
+
+		this.lastExit = `${reason} after ${duration}`;
+		log( colors.red( colors.symbols.cross)+colors.white(` ${this.name}: ${this.lastExit}, restart in ${delay/1000} s`));
+
+		this.timer = setTimeout( ( ) => {
+			this.queue = this.queue.then( ( ) => this.start( ) );
+		}, delay );
+	}
+
+	/**
+	 * SIGTERM, SIGKILL if the process is still running after the grace period
+	 */
+
+	async stop( ) {
+		clearTimeout( this.timer );
+
+		const proc = this.proc;
+		if( !proc ) {
+			return;
+		}
+
+		proc.stopping = true;
+		proc.kill( "SIGTERM" );
+
+		const timer = setTimeout( ( ) => {
+			log( colors.yellow( colors.symbols.warning)+colors.white(` ${this.name} still running after ${this.grace} ms, killed`));
+			proc.kill( "SIGKILL" );
+		}, this.grace );
+
+		await proc.exited;
+		clearTimeout( timer );
+	}
+
+	/**
+	 * x4build exits
+	 */
+
+	kill( ) {
+		clearTimeout( this.timer );
+		this.proc?.kill( "SIGTERM" );
+	}
+}
+
+/**
+ * single key commands (raw terminal), q & ctrl+c quit
+ * @returns function to stop listening, null if stdin is not a terminal
+ */
+
+function listenKeys( handlers ) {
+	if( !process.stdin.isTTY ) {
+		return null;
+	}
+
+	const onKey = ( key ) => {
+		if( key=="q" || key=="\u0003" ) {
+			process.exit( );
+		}
+
+		handlers[key.toLowerCase()]?.( );
+	}
+
+	process.stdin.setRawMode( true );
+	process.stdin.setEncoding( "utf8" );
+	process.stdin.on( "data", onKey );
+	process.stdin.resume( );
+
+	return ( ) => {
+		process.stdin.off( "data", onKey );
+		process.stdin.setRawMode( false );
+		process.stdin.pause( );
+	}
+}
+
+// :: STYLES ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+const POSTCSS_CONFIGS = [ "postcss.config.js", "postcss.config.cjs", "postcss.config.mjs" ];
+
+// css modules imported by the code
+const CSS_MODULE = /\.module\.(css|less|s[ac]ss)$/;
+const CODE_IMPORTS = [ "import-statement", "require-call", "dynamic-import" ];
+
+/**
+ * stylesheets selected by extension (x4build.css):
+ * .less (less), .scss & .sass (sass of the project), then postcss when configured
+ * *.module.* imported by the code export their scoped class names, typed by a generated .d.ts
+ * the inline source maps of the compilers are used by esbuild when sourcemap is set
+ */
+
+function stylesPlugin( settings = {}, runningdir ) {
+
+	const config_file = postcssConfigFile( settings, runningdir );
+	const use_postcss = !!config_file || (!!settings.postcss && settings.postcss!==true);
+
+	let processor = null;
+	const scoped = new Map( );	// file -> css of the module
+
+	return {
+		name: "x4build-styles",
+		setup( build ) {
+			const maps = !!build.initialOptions.sourcemap;
+
+			// esbuild reads the sources relatively to the stylesheet
+			const relocate = ( map, file ) => ( {
+				...map,
+				sources: map.sources.map( s => {
+					s = s.startsWith("file:") ? url.fileURLToPath(s) : s;
+					return path.isAbsolute(s) ? path.relative(path.dirname(file), s).replace(/\\/g, "/") : s;
+				} ),
+			} );
+
+			const compile = async ( file ) => {
+				let css;
+				let map = null;
+				let watchFiles = [file];
+				const watchDirs = [];
+
+				const ext = path.extname( file );
+				if( ext==".less" ) {
+					const result = await less.render( fs.readFileSync( file, "utf-8" ), {
+						filename: file,
+						relativeUrls: true,
+						rootpath: ".",
+						...(maps ? { sourceMap: { outputSourceFiles: true, disableSourcemapAnnotation: true } } : {}),
+						...settings.less,
+						paths: [ ...(settings.less?.paths ?? []), path.dirname(file) ],
+					} );
+
+					css = result.css;
+					if( result.map ) {
+						map = JSON.parse( result.map );
+					}
+
+					watchFiles.push( ...result.imports.map( f => path.resolve(path.dirname(file), f) ) );
+				}
+				else if( ext==".scss" || ext==".sass" ) {
+					const sass = await importProject( "sass", runningdir );
+					const result = await sass.compileAsync( file, {
+						style: "expanded",
+						sourceMap: maps,
+						sourceMapIncludeSources: maps,
+						...settings.sass,
+						loadPaths: [ ...(settings.sass?.loadPaths ?? []), path.join(runningdir, "node_modules") ],
+					} );
+
+					css = result.css;
+					if( result.sourceMap ) {
+						map = relocate( result.sourceMap, file );
+					}
+
+					watchFiles = result.loadedUrls.filter( u => u.protocol=="file:" ).map( u => url.fileURLToPath(u) );
+				}
+				else {
+					css = fs.readFileSync( file, "utf-8" );
+				}
+
+				if( use_postcss ) {
+					processor ??= createPostcss( settings, config_file, runningdir );
+
+					const result = await (await processor).process( css, {
+						from: file,
+						to: file,
+						map: maps ? { ...(map ? { prev: map } : {}), inline: false, annotation: false, sourcesContent: true } : false,
+					} );
+
+					css = result.css;
+					map = result.map ? relocate( result.map.toJSON( ), file ) : null;
+
+					result.messages.filter( m => m.type=="dependency" ).forEach( m => watchFiles.push( m.file ) );
+
+					// folders scanned by the plugins (tailwind content globs)
+					result.messages.filter( m => m.type=="dir-dependency" ).forEach( m => watchDirs.push( m.dir ) );
+				}
+
+				if( map ) {
+					css += "\n/*# sourceMappingURL=data:application/json;base64,"+Buffer.from(JSON.stringify(map)).toString("base64")+" */\n";
+				}
+
+				return { css, watchFiles, watchDirs };
+			}
+
+			const load = async ( file, cb ) => {
+				try {
+					const { css, watchFiles, watchDirs } = await compile( file );
+					return { ...cb( css ), resolveDir: path.dirname(file), watchFiles, watchDirs };
+				}
+				catch( e ) {
+					return { errors: [ styleError( e, file, runningdir ) ], watchFiles: [file] };
+				}
+			}
+
+			if( settings.modules!==false ) {
+				// the code receives a js module, the scoped stylesheet is imported by it
+				build.onResolve( { filter: CSS_MODULE, namespace: "file" }, async ( args ) => {
+					if( args.pluginData?.x4styles || !CODE_IMPORTS.includes(args.kind) ) {
+						return;
+					}
+
+					const result = await build.resolve( args.path, { kind: args.kind, importer: args.importer, resolveDir: args.resolveDir, pluginData: { x4styles: true } } );
+					if( result.errors.length ) {
+						return { errors: result.errors };
+					}
+
+					return { path: result.path, namespace: "css-module" };
+				} );
+
+				build.onLoad( { filter: /.*/, namespace: "css-module" }, ( args ) => load( args.path, ( css ) => {
+					const { text, classes } = scopeClasses( css, args.path, runningdir );
+					scoped.set( args.path, text );
+
+					if( settings.modules?.dts!==false && !/[\\/]node_modules[\\/]/.test(args.path) ) {
+						writeModuleTypes( args.path, classes );
+					}
+
+					return {
+						contents: `import ${JSON.stringify(args.path)};\nexport default ${JSON.stringify(classes)};\n`,
+						loader: "js",
+					};
+				} ) );
+
+				// the suffix keeps the scoped stylesheet apart from a plain import of the same file
+				build.onResolve( { filter: /.*/, namespace: "css-module" }, ( args ) => ( { path: args.path, suffix: "?scoped" } ) );
+			}
+
+			// plain .css files are left to esbuild without postcss
+			build.onLoad( { filter: /\.(css|less|s[ac]ss)$/, namespace: "file" }, ( args ) => {
+				if( args.suffix=="?scoped" ) {
+					return { contents: scoped.get( args.path ), loader: "css", resolveDir: path.dirname(args.path) };
+				}
+
+				if( path.extname(args.path)==".css" && !use_postcss ) {
+					return;
+				}
+
+				return load( args.path, ( css ) => ( { contents: css, loader: "css" } ) );
+			} );
+		}
+	}
+}
+
+/**
+ * postcss.config.js|cjs|mjs of the project, unless x4build.css.postcss gives the plugins or is false
+ */
+
+function postcssConfigFile( settings, runningdir ) {
+	if( settings.postcss!==undefined && settings.postcss!==true ) {
+		return null;
+	}
+
+	const fname = POSTCSS_CONFIGS.find( f => fs.existsSync(path.join(runningdir, f)) );
+	return fname ? path.resolve( runningdir, fname ) : null;
+}
+
+/**
+ * postcss of the project with the configured plugins:
+ * [ "autoprefixer", [ "tailwindcss", { ...options } ] ] or { "autoprefixer": { ...options } },
+ * plugin instances are accepted (x4build.config.mjs, postcss.config.js)
+ */
+
+async function createPostcss( settings, config_file, runningdir ) {
+	let plugins = Array.isArray(settings.postcss) || typeof settings.postcss==="object" ? settings.postcss : [];
+
+	if( config_file ) {
+		try {
+			const mod = await import( url.pathToFileURL(config_file).href+"?t="+fs.statSync(config_file).mtimeMs );
+			plugins = (mod.default ?? mod).plugins ?? [];
+		}
+		catch( e ) {
+			throw new Error( `cannot load ${config_file}: ${e.message}` );
+		}
+	}
+
+	if( !Array.isArray(plugins) ) {
+		plugins = Object.entries( plugins ).filter( ( [, options] ) => options!==false );
+	}
+
+	const postcss = await importProject( "postcss", runningdir );
+	const instances = await Promise.all( plugins.map( async ( plugin ) => {
+		const [ name, options ] = Array.isArray(plugin) ? plugin : [ plugin ];
+		if( typeof name !== "string" ) {
+			return name;
+		}
+
+		const create = await importProject( name, runningdir );
+		return create( options ?? {} );
+	} ) );
+
+	return postcss( instances );
+}
+
+/**
+ * module installed in the project (sass, postcss & its plugins)
+ */
+
+async function importProject( name, runningdir ) {
+	let fname;
+	try {
+		fname = createRequire( path.join(runningdir, "package.json") ).resolve( name );
+	}
+	catch( e ) {
+		throw new Error( `${name} is not installed in the project (npm install -D ${name})` );
+	}
+
+	const mod = await import( url.pathToFileURL(fname).href );
+	return mod.default ?? mod;
+}
+
+/**
+ * css modules: class names of the selectors get a suffix unique to the file, except in :global( )
+ * @returns { text, classes } classes maps the names to the scoped names
+ */
+
+function scopeClasses( css, file, runningdir ) {
+	const hash = crypto.createHash( "md5" ).update( path.relative(runningdir, file).replace(/\\/g, "/") ).digest( "hex" ).substring( 0, 6 );
+	const classes = {};
+
+	const scope = ( selector ) => selector
+		.replace( /:local\(([^)]*)\)/g, "$1" )
+		.split( /:global\(([^)]*)\)/ )
+		.map( ( part, i ) => i%2 ? part : part.replace( /\.(-?[_a-zA-Z\u00a0-\uffff][\w\u00a0-\uffff-]*)/g, ( m, name ) => {
+			classes[name] = `${name}_${hash}`;
+			return "."+classes[name];
+		} ) )
+		.join( "" );
+
+	// only the text before a "{" is a selector, comments & strings are kept
+	const out = [];
+	let prelude = [];
+
+	const flush = ( selector ) => {
+		selector = selector && !prelude.map( p => p.text ).join( "" ).trim( ).startsWith( "@" );
+		prelude.forEach( p => out.push( selector && p.code ? scope(p.text) : p.text ) );
+		prelude = [];
+	}
+
+	let last = 0;
+	for( const m of css.matchAll( /\/\*[\s\S]*?\*\/|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|[{};]/g ) ) {
+		prelude.push( { text: css.substring( last, m.index ), code: true } );
+
+		if( m[0]=="{" || m[0]=="}" || m[0]==";" ) {
+			flush( m[0]=="{" );
+			out.push( m[0] );
+		}
+		else {
+			prelude.push( { text: m[0], code: false } );
+		}
+
+		last = m.index+m[0].length;
+	}
+
+	prelude.push( { text: css.substring( last ), code: true } );
+	flush( false );
+
+	return { text: out.join( "" ), classes };
+}
+
+/**
+ * <file>.d.ts beside the css module, written when the class names change
+ */
+
+function writeModuleTypes( file, classes ) {
+	const fname = file+".d.ts";
+	const text = `// generated by x4build, do not edit\ndeclare const styles: {\n${Object.keys(classes).map( c => `\treadonly ${JSON.stringify(c)}: string;\n` ).join( "" )}};\n\nexport default styles;\n`;
+
+	if( !fs.existsSync(fname) || fs.readFileSync(fname, "utf-8")!=text ) {
+		fs.writeFileSync( fname, text );
+	}
+}
+
+/**
+ * less, sass & postcss errors as esbuild messages
+ */
+
+function styleError( e, file, runningdir ) {
+	const relative = ( f ) => path.relative( runningdir, f );
+
+	// sass
+	if( e.span ) {
+		const start = e.span.start;
+		return { text: e.sassMessage ?? e.message, location: { file: relative( e.span.url ? url.fileURLToPath(e.span.url) : file ), line: start.line+1, column: start.column, lineText: e.span.context?.split("\n")[0] } };
+	}
+
+	// postcss
+	if( e.name=="CssSyntaxError" ) {
+		return { text: e.reason, location: { file: relative( e.file ?? file ), line: e.line, column: e.column-1, lineText: e.source?.split("\n")[e.line-1] } };
+	}
+
+	// less
+	if( e.filename && e.line ) {
+		return { text: e.message, location: { file: relative( e.filename ), line: e.line, column: e.column, lineText: e.extract?.[1] } };
+	}
+
+	return { text: e.message ?? String(e) };
+}
+
+// :: TYPECHECK :::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+/**
+ * type checker running in a worker (typecheck.mjs) with the typescript of the project
+ * check() resolves to { errors, time } or { failure }
+ * @returns null if the project has no typescript or no tsconfig
+ */
+
+function createTypeChecker( tsconfig, runningdir ) {
+	
+	if( !fs.existsSync(path.resolve(runningdir, tsconfig)) ) {
+		log( colors.yellow( colors.symbols.warning)+colors.white(` no ${tsconfig}, types are not checked`));
+		return null;
+	}
+
+	let typescript;
+	try {
+		typescript = createRequire( path.join(runningdir, "package.json") ).resolve( "typescript" );
+	}
+	catch( e ) {
+		log( colors.yellow( colors.symbols.warning)+colors.white(' typescript is not installed in the project, types are not checked (npm install -D typescript)'));
+		return null;
+	}
+
+	const worker = new Worker( path.join(x4builddir, "typecheck.mjs"), {
+		workerData: {
+			typescript,
+			tsconfig: path.resolve( runningdir, tsconfig ),
+			cwd: runningdir,
+		}
+	} );
+
+	const run = ( ) => new Promise( ( resolve ) => {
+		const onError = ( e ) => resolve( { failure: e.message } );
+
+		worker.once( "error", onError );
+		worker.once( "message", ( result ) => {
+			worker.off( "error", onError );
+			resolve( result );
+		} );
+
+		worker.postMessage( "check" );
+	} );
+
+	let current = null;
+	let next = null;
+
+	const check = ( ) => {
+		if( !current ) {
+			current = run( ).finally( ( ) => current = null );
+			return current;
+		}
+
+		// sources changed during the check: one more check when it ends
+		next ??= current.then( ( ) => {
+			next = null;
+			return check( );
+		} );
+
+		return next;
+	}
+
+	return {
+		check,
+		close: ( ) => worker.terminate( ),
+	}
+}
+
+// :: DIST ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+/**
+ * package name from an external: "@scope/pkg/sub" -> "@scope/pkg"
+ * returns null for paths and patterns
+ */
+
+function packageName( external ) {
+	if( /^[./]|[*?]/.test(external) || external.startsWith("node:") ) {
+		return null;
+	}
+
+	const parts = external.split( "/" );
+	return external.startsWith("@") ? parts.slice(0,2).join("/") : parts[0];
+}
+
+/**
+ * version of the package installed in the project node_modules (or above for monorepos)
+ */
+
+function installedVersion( name, runningdir ) {
+	let dir = runningdir;
+
+	while( true ) {
+		const fname = path.join( dir, "node_modules", name, "package.json" );
+		if( fs.existsSync(fname) ) {
+			return loadJSON( fname ).version;
+		}
+
+		const parent = path.dirname( dir );
+		if( parent==dir ) {
+			return null;
+		}
+
+		dir = parent;
+	}
+}
+
+/**
+ * output file (absolute) of the first entry point of a target
+ * @returns null if the target was not built
+ */
+
+function entryOutput( target, runningdir ) {
+	const entry = path.relative( runningdir, path.resolve(runningdir, entriesOf(target)[0]) ).replaceAll( "\\", "/" );
+	const main = Object.entries( target.metafile?.outputs ?? {} ).find( ([out, info]) => info.entryPoint==entry && out.endsWith(".js") );
+	return main ? path.resolve( runningdir, main[0] ) : null;
+}
+
+/**
+ * minimal package.json for the output folder: externals at their installed versions
+ * electron is a dev dependency (used by the packagers, not installed in production)
+ * @returns package.json path
+ */
+
+function writeDistPackage( pkg, outdir, targets, externals, is_electron, runningdir ) {
+
+	const version = ( name ) => {
+		const v = installedVersion( name, runningdir );
+		if( v ) {
+			return v;
+		}
+
+		const range = pkg.dependencies?.[name] ?? pkg.devDependencies?.[name];
+		log( colors.yellow( colors.symbols.warning)+colors.white(` ${name} is not installed, using ${range ?? "*"}`));
+		return range ?? "*";
+	}
+
+	const dependencies = {};
+	for( const ext of externals ) {
+		const name = packageName( ext );
+		if( name && name!="electron" && !dependencies[name] ) {
+			dependencies[name] = version( name );
+		}
+	}
+
+	const dist = {
+		name: pkg.name,
+		version: pkg.version,
+		private: true,
+	};
+
+	if( pkg.description ) {
+		dist.description = pkg.description;
+	}
+
+	if( pkg.author ) {
+		dist.author = pkg.author;
+	}
+
+	if( pkg.license ) {
+		dist.license = pkg.license;
+	}
+
+	// main: output of the first entry point
+	const main = entryOutput( targets[0], runningdir );
+	if( main ) {
+		dist.main = path.relative( outdir, main ).replaceAll( "\\", "/" );
+	}
+
+	dist.dependencies = Object.fromEntries( Object.entries(dependencies).sort( ) );
+
+	if( is_electron ) {
+		dist.devDependencies = { electron: version( "electron" ) };
+	}
+
+	const fname = path.join( outdir, "package.json" );
+	writeJSON( fname, dist );
+	return fname;
+}
+
+/**
+ * files of a folder (recursive), relative names with /
+ */
+
+function listFiles( dir, base = dir ) {
+	const result = [];
+
+	for( const entry of fs.readdirSync(dir, { withFileTypes: true }) ) {
+		const fname = path.join( dir, entry.name );
+
+		if( entry.isDirectory() ) {
+			result.push( ...listFiles(fname, base) );
+		}
+		else {
+			result.push( path.relative(base, fname).replaceAll( "\\", "/" ) );
+		}
+	}
+
+	return result;
+}
+
+/**
+ * manifest.json: logical names -> hashed names, relative to the output folder
+ * { "assets/main.js": "assets/main-KB2L3T4V.js", ... }
+ * @returns manifest path
+ */
+
+function writeManifest( outdir, targets, runningdir ) {
+	const manifest = {};
+
+	for( const target of targets ) {
+		const outputs = target.metafile?.outputs ?? {};
+		for( const out of Object.keys(outputs) ) {
+			// shared chunks are loaded by the entries
+			if( out.endsWith(".map") || (out.endsWith(".js") && !outputs[out].entryPoint) ) {
+				continue;
+			}
+
+			const file = path.relative( outdir, path.resolve(runningdir, out) ).replaceAll( "\\", "/" );
+			const name = file.replace( /-[A-Z0-9]{8}(\.[^./]+)$/, "$1" );
+			manifest[name] = file;
+		}
+	}
+
+	const fname = path.join( outdir, "manifest.json" );
+	writeJSON( fname, Object.fromEntries( Object.entries(manifest).sort() ) );
+	return fname;
+}
+
+// :: PACK ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+export async function pack( options = {} ) {
+	const runningdir = projectDir( options.cwd );
+
+	const pkg = loadJSON( path.join(runningdir, "package.json") );
+	const tscfg = loadTSConfig( path.join(runningdir, "tsconfig.json") );
+	const outdir = path.resolve( runningdir, tscfg?.compilerOptions?.outDir ?? "./bin" );
+
+	const format = options.format ?? "tar.gz";
+	if( format!="tar.gz" && format!="zip" ) {
+		throw new Error( `format must be tar.gz or zip.` );
+	}
+
+	if( !fs.existsSync(outdir) ) {
+		throw new Error( `${outdir} does not exist, build the project first.` );
+	}
+
+	// @scope/name -> scope-name
+	const basename = `${(pkg.name ?? "package").replace(/^@/, "").replaceAll("/", "-")}-${pkg.version ?? "0.0.0"}`;
+	const outname = path.resolve( runningdir, options.out ?? ".", `${basename}.${format}` );
+
+	fs.mkdirSync( path.dirname(outname), { recursive: true } );
+
+	// files are stored in a <name>-<version> folder
+	const files = listFiles( outdir ).filter( f => path.join(outdir,f)!=outname );
+
+	if( format=="zip" ) {
+		await new Promise( ( resolve, reject ) => {
+			const zip = new yazl.ZipFile( );
+			for( const f of files ) {
+				zip.addFile( path.join(outdir,f), `${basename}/${f}` );
+			}
+
+			zip.outputStream.pipe( fs.createWriteStream(outname) )
+				.on( "close", resolve )
+				.on( "error", reject );
+
+			zip.end( );
+		} );
+	}
+	else {
+		await tar.create( {
+			gzip: true,
+			file: outname,
+			cwd: outdir,
+			prefix: basename,
+			portable: true,
+		}, files );
+	}
+
+	log( colors.green( colors.symbols.check)+colors.white(` ${files.length} files archived in ${outname} (${formatSize(fs.statSync(outname).size)})`));
+	return outname;
+}
+
+// :: CLEAN :::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+export function clean( options = {} ) {
+	const runningdir = projectDir( options.cwd );
+
+	const pkg = loadJSON( path.join(runningdir, "package.json") );
+	const tscfg = loadTSConfig( path.join(runningdir, "tsconfig.json") );
+
+	const outdir = path.resolve( runningdir, tscfg?.compilerOptions?.outDir ?? "./bin" );
+	const targets = resolveTargets( pkg, pkg?.x4build?.type ?? 'html', outdir, runningdir );
+
+	for( const dir of outdirsOf(targets) ) {
+		checkOutdir( dir, targets, runningdir );
+
+		if( fs.existsSync(dir) ) {
+			fse.emptyDirSync( dir );
+			log( colors.green( colors.symbols.check)+colors.white(` ${dir} cleaned`));
+		}
+	}
+}
+
+// :: TEST ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+const TEST_FILES = /\.test\.tsx?$/;
+
+/**
+ * *.test.ts(x) files, node_modules, hidden & output folders are skipped
+ */
+
+function findTestFiles( dir, skip ) {
+	const result = [];
+
+	for( const entry of fs.readdirSync(dir, { withFileTypes: true }) ) {
+		const fname = path.join( dir, entry.name );
+
+		if( entry.isDirectory() ) {
+			if( entry.name!="node_modules" && !entry.name.startsWith(".") && !skip.includes(fname) ) {
+				result.push( ...findTestFiles(fname, skip) );
+			}
+		}
+		else if( TEST_FILES.test(entry.name) ) {
+			result.push( fname );
+		}
+	}
+
+	return result;
+}
+
+/**
+ * bundle the *.test.ts files with the build settings (node platform) and run them with node:test
+ * options: { files: only the test files containing one of these names, name: test name pattern, watch }
+ * @returns a context once the first run is done:
+ * 	result: last run { code, files }, code is the exit code of the run (1 if the bundle failed)
+ * 	dispose(): stop watching, the running tests are killed
+ * 	persistent: true in watch mode
+ */
+
+export async function test( options = {} ) {
+	const runningdir = projectDir( options.cwd );
+
+	const { pkg, tscfg, config } = await loadProject( false, runningdir );
+
+	const env = loadEnv( "development", pkg.x4build?.envPrefix ?? ["X4_"], runningdir );
+	const outdir = path.resolve( runningdir, tscfg.compilerOptions.outDir ?? "./bin" );
+	const testdir = path.resolve( runningdir, "node_modules/.x4build/test" );
+	const filters = options.files ?? [];
+
+	const resolvePath = (tscfg.compilerOptions.paths || tscfg.compilerOptions.baseUrl) ? createPathsResolver( tscfg.compilerOptions ) : null;
+	const tsconfig = resolvePath ? writeBuildTSConfig( tscfg, runningdir ) : null;
+	const target = { name: "test", platform: "node", loaders: {}, override: {} };
+
+	const external = [...(pkg.x4build?.external ?? [])];
+	if( pkg.x4build?.type=="electron" ) {
+		external.push( "electron" );
+	}
+
+	const plugins = [
+		...(Array.isArray(config.plugins) ? config.plugins : config.plugins?.node ?? []),
+		...(resolvePath ? [pathsPlugin( resolvePath )] : []),
+	];
+
+	let last_result = null;
+	let inputs = [];
+	let child = null;
+	let disposed = false;
+
+	const runTests = async ( ) => {
+		const start = Date.now( );
+
+		const files = findTestFiles( runningdir, [outdir] ).filter( f => !filters.length || filters.some( n => path.relative(runningdir, f).includes(n) ) );
+		if( !files.length ) {
+			log( colors.yellow( colors.symbols.warning)+colors.white(` no test file${filters.length ? " matching "+filters.join(", ") : ""}`));
+			emit( "test", { files: 0, code: 0, duration: Date.now( )-start } );
+			return { code: 0, files };
+		}
+
+		log( colors.green( colors.symbols.pointer)+colors.white(` ${files.length} test file${files.length>1 ? "s" : ""}`));
+
+		let result;
+		fse.emptyDirSync( testdir );
+
+		try {
+			result = await esbuild.build( {
+				absWorkingDir: runningdir,
+				logLevel: "silent",
+				bundle: true,
+				sourcemap: true,
+				metafile: true,
+				keepNames: true,
+				target: "node"+process.versions.node.split( "." )[0],	// keeps node: imports (node:test)
+				charset: "utf8",
+				legalComments: "none",
+				external,
+				loader: projectLoaders( pkg, target ),
+				plugins,
+				...(tsconfig ? { tsconfig } : {}),
+				...pkg.x4build?.override,
+				define: projectDefines( pkg, env, false, target ),
+
+				// mjs projects: the bundles must stay commonjs
+				entryPoints: files,
+				outbase: runningdir,
+				outdir: testdir,
+				outExtension: { ".js": ".cjs" },
+				platform: "node",
+				format: "cjs",
+			} );
+		}
+		catch( e ) {
+			for( const err of e.errors ?? [{ text: e.message }] ) {
+				reportDiagnostic( esbuildDiagnostic( err, "error", target ) );
+			}
+
+			log( colors.red( colors.symbols.cross)+colors.white(' test bundle failed'));
+			emit( "test", { files: files.length, code: 1, duration: Date.now( )-start } );
+			return { code: 1, files };
+		}
+
+		inputs = inputsOf( result.metafile, runningdir );
+
+		const bundles = Object.keys( result.metafile.outputs ).filter( f => result.metafile.outputs[f].entryPoint ).map( f => path.resolve(runningdir, f) );
+		const args = [ "--enable-source-maps", "--test" ];
+		if( options.name ) {
+			args.push( "--test-name-pattern", options.name );
+		}
+
+		const code = await new Promise( ( resolve ) => {
+			child = spawn( process.execPath, [...args, ...bundles], {
+				cwd: runningdir,
+				stdio: childStdio( "ignore" ),
+			} );
+
+			child.on( "error", ( e ) => {
+				log( colors.red( colors.symbols.cross)+colors.white(` cannot run the tests: ${e.message}`));
+				resolve( 1 );
+			} );
+
+			child.on( "exit", ( code ) => resolve( code ?? 1 ) );
+		} );
+
+		child = null;
+
+		if( !disposed ) {
+			const status = code ? colors.red( colors.symbols.cross)+colors.white(' tests failed') : colors.green( colors.symbols.check)+colors.white(' tests passed');
+			log( status+colors.dim(` in ${Date.now( )-start} ms`) );
+		}
+
+		emit( "test", { files: files.length, code, duration: Date.now( )-start } );
+		return { code, files };
+	}
+
+	// a run asked during a run is done just after
+	let running = null;
+	let queued = null;
+
+	const run = ( ) => {
+		if( disposed ) {
+			return Promise.resolve( last_result );
+		}
+
+		if( !running ) {
+			running = runTests( ).then( ( result ) => last_result = result ).finally( ( ) => running = null );
+			return running;
+		}
+
+		queued ??= running.then( ( ) => {
+			queued = null;
+			return run( );
+		} );
+
+		return queued;
+	}
+
+	await run( );
+
+	// the project files and the inputs outside of the project
+	let watcher = null;
+	if( options.watch ) {
+		const ignored = ( fname ) => {
+			const rel = path.relative( runningdir, fname );
+			return /(^|[\\/])(node_modules|\.[^\\/]+)([\\/]|$)/.test(rel) || isInside(outdir, fname);
+		}
+
+		watcher = chokidar.watch( runningdir, { ignored, ignoreInitial: true } );
+
+		let timer = null;
+		watcher.on( "all", ( ) => {
+			clearTimeout( timer );
+			timer = setTimeout( async ( ) => {
+				await run( );
+				watcher.add( inputs.filter( f => !isInside(runningdir, f) ) );
+			}, 300 );
+		} );
+
+		watcher.add( inputs.filter( f => !isInside(runningdir, f) ) );
+		log( colors.green( colors.symbols.starsOn)+colors.white(' watching for modifications, ctrl+c to quit'));
+	}
+
+	return {
+		get result( ) {
+			return last_result;
+		},
+
+		persistent: options.watch ?? false,
+
+		async dispose( ) {
+			if( !disposed ) {
+				disposed = true;
+				await watcher?.close( );
+				child?.kill( "SIGTERM" );
+				await running;
+			}
+		},
+	};
+}
+
+// :: SERVER ::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::
+
+/**
+ * start listening on the given port, if the port is already used, try the next ones
+ * @returns the port really used
+ */
+
+function listen( server, port, host, tries = 20 ) {
+	return new Promise( (resolve, reject) => {
+
+		const onError = ( e ) => {
+			server.off( "listening", onListening );
+
+			if( e.code=="EADDRINUSE" && tries>1 ) {
+				resolve( listen( server, port+1, host, tries-1 ) );
+			}
+			else {
+				reject( e );
+			}
+		}
+
+		const onListening = ( ) => {
+			server.off( "error", onError );
+			resolve( server.address().port );
+		}
+
+		server.once( "error", onError );
+		server.once( "listening", onListening );
+		server.listen( port, host );
+	} );
+}
+
+/**
+ * list of the non internal ipv4 addresses of this computer
+ */
+
+function getLocalAddresses( ) {
+	const result = [];
+	const ifaces = os.networkInterfaces( );
+
+	for( const name in ifaces ) {
+		for( const iface of ifaces[name] ) {
+			if( iface.family=="IPv4" && !iface.internal ) {
+				result.push( iface.address );
+			}
+		}
+	}
+
+	return result;
+}
+
+/**
+ * https certificate
+ * cfg is true (self-signed certificate) or { cert, key } with pem file names
+ * the self-signed certificate is generated once in ~/.x4build/ssl and reused until it expires
+ */
+
+function loadCertificate( cfg, runningdir ) {
+
+	if( cfg.cert || cfg.key ) {
+		if( !cfg.cert || !cfg.key ) {
+			throw new Error( "https needs both a certificate and a key file." );
+		}
+
+		return {
+			cert: fs.readFileSync( path.resolve(runningdir, cfg.cert) ),
+			key: fs.readFileSync( path.resolve(runningdir, cfg.key) ),
+		}
+	}
+
+	const ssldir = path.join( os.homedir(), ".x4build", "ssl" );
+	const certfile = path.join( ssldir, "cert.pem" );
+	const keyfile = path.join( ssldir, "key.pem" );
+
+	if( fs.existsSync(certfile) && fs.existsSync(keyfile) ) {
+		const cert = fs.readFileSync( certfile );
+		const expires = new Date( new crypto.X509Certificate(cert).validTo );
+
+		// keep a security margin of one day
+		if( expires.getTime()-Date.now() > 24*3600*1000 ) {
+			return {
+				cert,
+				key: fs.readFileSync( keyfile ),
+			}
+		}
+	}
+
+	log( colors.green(colors.symbols.pointer)+colors.white(` generating self-signed certificate in ${ssldir}`) );
+
+	const pems = selfsigned.generate( [{ name: 'commonName', value: 'localhost' }], {
+		days: 365,
+		keySize: 2048,
+		algorithm: 'sha256',
+		extensions: [
+			{ name: 'basicConstraints', cA: false },
+			{ name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+			{ name: 'extKeyUsage', serverAuth: true },
+			{ name: 'subjectAltName', altNames: [
+				{ type: 2, value: 'localhost' },
+				{ type: 7, ip: '127.0.0.1' },
+				{ type: 7, ip: '::1' },
+			] },
+		]
+	} );
+
+	fs.mkdirSync( ssldir, { recursive: true } );
+	fs.writeFileSync( certfile, pems.cert );
+	fs.writeFileSync( keyfile, pems.private, { mode: 0o600 } );
+
+	return {
+		cert: pems.cert,
+		key: pems.private,
+	}
+}
+
+/**
+ * http & websocket proxy
+ * config is a map of url prefixes to targets:
+ * 	"/api": "http://localhost:3000"
+ * 	"/api": { "target": "http://localhost:3000", "rewrite": "/v1", "changeOrigin": true }
+ *
+ * rewrite replaces the matched prefix, changeOrigin sends the target host as Host header
+ */
+
+function createProxy( config ) {
+
+	const rules = Object.entries( config ).map( ( [prefix, cfg] ) => {
+		if( typeof cfg === "string" ) {
+			cfg = { target: cfg };
+		}
+
+		return {
+			prefix,
+			target: new URL( cfg.target ),
+			rewrite: cfg.rewrite,
+			changeOrigin: cfg.changeOrigin ?? false,
+		}
+	} );
+
+	// longest prefix first
+	rules.sort( (a,b) => b.prefix.length-a.prefix.length );
+
+	// "/api" matches "/api", "/api/..." and "/api?...", not "/apiary"
+	const match = ( url ) => {
+		return rules.find( r => url==r.prefix || url.startsWith( r.prefix.endsWith("/") ? r.prefix : r.prefix+"/" ) || url.startsWith( r.prefix+"?" ) );
+	}
+
+	const requestOptions = ( rule, req ) => {
+		let url = req.url;
+		if( rule.rewrite!==undefined ) {
+			url = rule.rewrite+url.substring( rule.prefix.length );
+		}
+
+		if( !url.startsWith("/") ) {
+			url = "/"+url;
+		}
+
+		const headers = { ...req.headers };
+		if( rule.changeOrigin ) {
+			headers.host = rule.target.host;
+		}
+
+		const remote = req.socket.remoteAddress?.replace('::ffff:', '');
+		if( remote ) {
+			headers["x-forwarded-for"] = headers["x-forwarded-for"] ? headers["x-forwarded-for"]+", "+remote : remote;
+		}
+
+		headers["x-forwarded-host"] ??= req.headers.host;
+		headers["x-forwarded-proto"] ??= req.socket.encrypted ? "https" : "http";
 
-			// -- monitor -------------------------------------------------
+		const secure = rule.target.protocol=="https:" || rule.target.protocol=="wss:";
 
-			const startProcess = () => {
+		return {
+			transport: secure ? https : http,
+			options: {
+				hostname: rule.target.hostname,
+				port: rule.target.port || (secure ? 443 : 80),
+				path: rule.target.pathname.replace(/\/$/, "")+url,
+				method: req.method,
+				headers,
+				rejectUnauthorized: false,		// backends often use self-signed certificates
+			}
+		}
+	}
 
-				console.log(colors.green(`starting process bin/${options.monitor}`));
-				try {
-					const proc = spawn("node", [options.monitor], {
-						stdio: 'inherit',
-						stderr: 'inherit',
-						cwd:outdir
-					});
-					
-					proc.on("exit", (code) => {
-						console.log(colors.red(`process exit with code ${code}.`));
-						proc.__destroyed = true;
-					});
+	// http requests: body and response are streamed as is
 
-					proc.on("error", (code) => {
-						console.log(colors.red(`process crash with code ${code}.`));
-						proc.__destroyed = true;
-					})
+	const web = ( req, res ) => {
+		const rule = match( req.url );
+		const { transport, options } = requestOptions( rule, req );
 
-					return proc;
-				}
-				catch( e ) {
-					console.log( colors.bgRed.white("error: "+e.message))
-					return null;
-				}
-				
+		const preq = transport.request( options, ( pres ) => {
+			res.writeHead( pres.statusCode, pres.statusMessage, pres.headers );
+			pres.pipe( res );
+		} );
+
+		preq.on( "error", ( e ) => {
+			if( !res.headersSent ) {
+				res.writeHead( 502, { "Content-Type": "text/plain" } );
 			}
 
-			if( options.monitor ) {
-				if( proc && !proc.__destroyed) {
-					process.kill(proc.pid, "SIGTERM");
-				}
-				
-				proc = startProcess( );
-			}	
+			res.end( `proxy error: ${e.message}` );
+		} );
 
-			if (!(pkg?.x4build?.postBuild) ) {
-				log( colors.green( colors.symbols.check)+colors.white(' build done'));
+		// client gone: abort the backend request
+		res.on( "close", ( ) => {
+			if( !res.writableFinished ) {
+				preq.destroy( );
 			}
-		}
+		} );
 
-		errors = 0;
-		started = false;
-		if( !options.watch && !options.monitor ) {
-			ctx.dispose( );
-		}
+		req.pipe( preq );
 	}
 
-	const buildDonePlugin = {
-		name: 'done',
-
-		setup(build) {
-			build.onStart( __start );
-			build.onEnd( ( result ) => {
-				if( result.errors && result.errors.length>0 ) {
-					for( let err of result.errors ) {
-						if( err.location ) {
-							console.log( ` ${err.location.file}(${err.location.line}): ${err.text}` );
-							log( colors.red( colors.symbols.cross)+colors.white( ` ${err.location.file}(${err.location.line}): ${err.text}` ));
-						}
-						else {
-							log( colors.red( colors.symbols.cross)+colors.white( ` ${err.text}` ));
-						}
-					}
+	// websocket upgrades: after the handshake, sockets are simply piped
 
-					log( colors.red( colors.symbols.cross)+colors.white( ' --------------------------------------------------------' ) );
-					log( colors.red( colors.symbols.cross)+colors.white( ` ${result.errors.length} errors. no rebuild until correction\n`));
-					errors++;
-				}
-				else {
-					tmEnd.start( __done, 200 );
-				}
-			} );
+	const ws = ( req, socket, head ) => {
+		const rule = match( req.url );
+		const { transport, options } = requestOptions( rule, req );
 
-			if( paths ) {
-				
-				function setupResolver( p, mapping ) {
+		const rawHeaders = ( status, message, raw ) => {
+			let result = `HTTP/1.1 ${status} ${message}\r\n`;
+			for( let i=0; i<raw.length; i+=2 ) {
+				result += `${raw[i]}: ${raw[i+1]}\r\n`;
+			}
 
-					const search = '^'+p.replaceAll( '^', '\\^' ).replaceAll( '*', '(.*)');
-					const re = new RegExp( search, 'g' );
+			return result+"\r\n";
+		}
 
-					console.log( colors.green(colors.symbols.starsOn)+colors.white( ` resolve path ${p} by ${mapping}`) );
+		const preq = transport.request( options );
 
-					build.onResolve( { filter: re }, (args) => {
-						
-						const xx = re.exec( args.path );
-						if( xx ) {
-							const res = path.resolve( mapping.replace( '*', xx[1] ) );
-							const parts = path.parse( res );
+		preq.on( "upgrade", ( pres, psocket, phead ) => {
+			socket.write( rawHeaders( 101, "Switching Protocols", pres.rawHeaders ) );
 
-							return {
-								path: path.join( parts.dir, parts.name+'.ts' ),
-							}
-						}
-						else {
-							return {}
-						}
-					} );
-				}
+			if( phead && phead.length ) {
+				socket.write( phead );
+			}
 
-				for( const p in paths ) {
-					setupResolver( p, paths[p][0] );					
-				}
+			if( head && head.length ) {
+				psocket.write( head );
 			}
-		}
-	}
 
-	let external = [];
-	if( is_electron ) {
-		external.push( "electron" );
-	}
-	
-	if( pkg.x4build?.external ) {
-		external = external.concat( pkg.x4build?.external );
-	}
+			psocket.on( "error", ( ) => socket.destroy() );
+			psocket.pipe( socket ).pipe( psocket );
+		} );
 
-	let override = {};
-	if( pkg.x4build?.override ) {
-		override = pkg.x4build?.override;
+		// backend refused the upgrade
+		preq.on( "response", ( pres ) => {
+			socket.write( rawHeaders( pres.statusCode, pres.statusMessage, pres.rawHeaders ) );
+			pres.pipe( socket );
+		} );
+
+		preq.on( "error", ( ) => socket.destroy() );
+		socket.on( "error", ( ) => preq.destroy() );
+
+		preq.end( );
 	}
 
-	const ctx = await esbuild.context({
-		logLevel: "silent",
-		entryPoints: [pkg.main],
-		outdir,
-		bundle: true,
-		sourcemap,
-		minify,
-		keepNames: true,
-		target: (is_node || is_electron) ? "chrome108" : "esnext",
-		charset: "utf8",
-		// for now there is a problem with htmlplugin, i have created an issue
-		assetNames: 'assets/[name]',
-		chunkNames: 'assets/[name]',
-		publicPath: '.',	//pkg?.x4build?.publicPath,
-		legalComments: "none",
-		platform: (is_node || is_electron) ? "node" : "browser",
-		format: "iife",
-		supported: { 
-			"dynamic-import": false,
-		},
-		define: release ? {
-		}:
-		{ DEBUG: "1"
-		},
-		external,
-		//allowOverwrite: true,
-		loader: {
-			'.png': 'file',
-			'.webp': 'file',
-			'.svg': 'file',
-			'.png': 'file',
-			'.jpg': 'file',
-			'.jpeg': 'file',
-			'.json': 'json',
-			'.ttf': 'dataurl',
-			...pkg.x4build?.loaders
-		},
-		plugins: [
-			...(is_node ? node_plugins : html_plugins),
-			buildDonePlugin
-		],
-		...(override ?? []),
-	});
+	return {
+		match,
+		web,
+		ws,
+	}
+}
 
-	//if( options.watch ) {
-	//	ctx.watch( );
-	//	log(colors.white(`watching for sources modifications`));
-	//}
-	
-	if( serve_files || need_hmr || watch ) {
-		
-		const port = 9876;
-		const host = '127.0.0.1';
-		let http_server = null;
+const HMR_CLIENT = "/__x4hmr.js";
+const HMR_SOCKET = "/__x4hmr";
 
-		function createServer() {
+/**
+ * send the hmr client script if requested
+ * @returns true if the request was handled
+ */
+
+function sendHmrClient( req, res ) {
+	// no url parsing: an invalid request line must not throw
+	if( req.url.split("?")[0]!=HMR_CLIENT ) {
+		return false;
+	}
 
-			if (http_server) {
-				return http_server;
-			}
+	const script = fs.readFileSync( path.join(x4builddir, "hmr-client.js") );
 
-			http_server = http.createServer({});
-			http_server.listen(port, host);
+	res.writeHead( 200, {
+		'Content-Type': 'text/javascript; charset=utf-8',
+		'Content-Length': script.length,
+		'Cache-Control': 'no-cache',
+	} );
 
-			return http_server;
-		}
-		
-		//------------------------------------------------------------------------
+	res.end( script );
+	return true;
+}
 
-		if ( need_hmr ) {
-			
-			const watcher = chokidar.watch( [outdir], {
-				ignored: [
-					/.*\.map$/ 
-				]
-			});
+/**
+ * errors of nested builds (html plugin) are reported as a single error by the parent build,
+ * the original errors are in the detail
+ */
 
-			let clients = [];
-			const wait = 2000;
+function unwrapErrors( errors ) {
+	return errors.flatMap( e => Array.isArray(e.detail?.errors) && e.detail.errors.length ? unwrapErrors(e.detail.errors) : [e] );
+}
 
-			const server = createServer();
+/**
+ * esbuild message to hmr error
+ * frame is the source line with the error position underlined:
+ * 	12 | let x = ;
+ * 	   |         ^
+ */
+
+function formatBuildError( err ) {
+	const loc = err.location;
+
+	const result = {
+		message: err.text,
+		file: loc?.file ?? null,
+		line: loc?.line ?? 0,
+		column: loc?.column ?? 0,
+		frame: null,
+		plugin: err.pluginName || null,
+	};
+
+	if( loc?.lineText ) {
+		const num = String( loc.line );
+		result.frame = `${num} | ${loc.lineText}\n${" ".repeat(num.length)} | ${" ".repeat(loc.column)}${"^".repeat(Math.max(loc.length,1))}`;
+	}
 
-			let waitTimeout;
-			const send = (client, ...args) => {
-				if (waitTimeout) {
-					clearTimeout(waitTimeout);
-				}
+	return result;
+}
 
-				waitTimeout = setTimeout(function () {
-					client.send(...args);
-				}, wait);
-			}
+/**
+ * insert html (the hmr client) at the end of the <head> of a page
+ */
+
+function injectHtml( page, html ) {
+	for( const tag of [/<\/head>/i, /<\/body>/i] ) {
+		const m = tag.exec( page );
+		if( m ) {
+			return page.substring( 0, m.index )+html+page.substring( m.index );
+		}
+	}
 
-			server.addListener('upgrade', function (request, socket, head) {
+	return page+html;
+}
 
-				let ws = new WS.WebSocket(request, socket, head);
-				ws.onopen = () => {
-					log("client connected");
-					send(ws, 'connected');
-				};
+const MIME_TYPES = {
+	// text
+	'.htm': 'text/html; charset=utf-8',
+	'.html': 'text/html; charset=utf-8',
+	'.css': 'text/css; charset=utf-8',
+	'.txt': 'text/plain; charset=utf-8',
+	'.md': 'text/markdown; charset=utf-8',
+	'.csv': 'text/csv; charset=utf-8',
+	'.xml': 'application/xml; charset=utf-8',
+	'.js': 'text/javascript; charset=utf-8',
+	'.mjs': 'text/javascript; charset=utf-8',
+	'.cjs': 'text/javascript; charset=utf-8',
+	'.map': 'application/json; charset=utf-8',
+	'.json': 'application/json; charset=utf-8',
+	'.jsonld': 'application/ld+json; charset=utf-8',
+	'.webmanifest': 'application/manifest+json; charset=utf-8',
+	'.ts': 'text/plain; charset=utf-8',
+	'.wasm': 'application/wasm',
+	'.pdf': 'application/pdf',
+	'.zip': 'application/zip',
+	'.gz': 'application/gzip',
+
+	// images
+	'.png': 'image/png',
+	'.jpg': 'image/jpeg',
+	'.jpeg': 'image/jpeg',
+	'.gif': 'image/gif',
+	'.webp': 'image/webp',
+	'.avif': 'image/avif',
+	'.svg': 'image/svg+xml',
+	'.ico': 'image/x-icon',
+	'.bmp': 'image/bmp',
+	'.tif': 'image/tiff',
+	'.tiff': 'image/tiff',
+
+	// fonts
+	'.woff': 'font/woff',
+	'.woff2': 'font/woff2',
+	'.ttf': 'font/ttf',
+	'.otf': 'font/otf',
+	'.eot': 'application/vnd.ms-fontobject',
+
+	// audio/video
+	'.mp3': 'audio/mpeg',
+	'.wav': 'audio/wav',
+	'.ogg': 'audio/ogg',
+	'.oga': 'audio/ogg',
+	'.m4a': 'audio/mp4',
+	'.aac': 'audio/aac',
+	'.flac': 'audio/flac',
+	'.opus': 'audio/opus',
+	'.mp4': 'video/mp4',
+	'.m4v': 'video/mp4',
+	'.webm': 'video/webm',
+	'.ogv': 'video/ogg',
+	'.mov': 'video/quicktime',
+	'.avi': 'video/x-msvideo',
+	'.vtt': 'text/vtt; charset=utf-8',
+};
 
+/**
+ * check that fname is root or one of its descendants
+ */
 
-				ws.onclose = function () {
-					clients = clients.filter(function (x) {
-						return x !== ws;
-					});
-				};
+function isInside( root, fname ) {
+	const rel = path.relative( root, fname );
+	return !rel.startsWith("..") && !path.isAbsolute(rel);
+}
 
-				clients.push(ws);
-			});
+/**
+ * serve a file or a directory index.
+ * cfg: {
+ * 	root: files root (for the fallback),
+ * 	index: list of directory index files,
+ * 	fallback: false, true (index.html) or the html page to send instead of 404 for client side routes,
+ * 	compress: allow gzip/brotli compression,
+ * 	cacheControl: Cache-Control header value,
+ * 	inject: html to insert in the pages,
+ * }
+ */
+
+async function serveStatic( req, res, fname, cfg ) {
+
+	if( req.method!="GET" && req.method!="HEAD" ) {
+		res.writeHead( 405, { 'Allow': 'GET, HEAD' } );
+		res.end( );
+		return;
+	}
 
-			let isReady = false;
-			let tmDisp = new Timer( );
+	const statOf = ( name ) => fs.promises.stat( name ).catch( ( ) => null );
 
-			function handleChange(changePath) {
+	let stat = await statOf( fname );
 
-				if (!isReady) {
-					return;
-				}
+	if( stat?.isDirectory() ) {
+		const url = new URL( req.url, "file://" );
 
-				let cssChange = [".css", ".jpg", ".png", ".svg", ".ttf", ".otf" ].indexOf(path.extname(changePath))>=0;
-				let notified = false;
+		// relative urls in the index would be wrong without the final /
+		if( !url.pathname.endsWith("/") ) {
+			res.writeHead( 301, { 'Location': url.pathname+"/"+url.search } );
+			res.end( );
+			return;
+		}
 
-				clients.forEach((c) => {
-					send(c, cssChange ? 'refreshcss' : 'reload');
-				});
+		const dir = fname;
+		stat = null;
 
-				tmDisp.start( ( ) => {
-					log(colors.green(colors.symbols.pencilDownRight)+colors.white(" changes detected, hmr updated") );
-				}, 300 );
+		for( const index of cfg.index ) {
+			const st = await statOf( path.join(dir,index) );
+			if( st?.isFile() ) {
+				fname = path.join( dir, index );
+				stat = st;
+				break;
 			}
+		}
+	}
 
-			watcher
-				.on("change", handleChange)
-				.on("add", handleChange)
-				.on("unlink", handleChange)
-				.on("addDir", handleChange)
-				.on("unlinkDir", handleChange)
-				.on("ready", function () {
-					isReady = true;
-				})
-				.on("error", function (err) {
-					log("ERROR:", err);
-				});
+	if( !stat?.isFile() ) {
+		// history api fallback: only for pages, not for missing assets
+		const ext = path.extname( fname );
+		const accept = req.headers.accept ?? "";
 
-				log(colors.green( colors.symbols.starsOn)+colors.white(` HMR started`));
+		if( cfg.fallback && (ext=="" || ext==".html") && accept.includes("text/html") ) {
+			fname = path.join( cfg.root, cfg.fallback===true ? "index.html" : cfg.fallback );
+			stat = await statOf( fname );
 		}
-		
-		//------------------------------------------------------------------------
 
-		if (serve_files && !is_electron) {
+		if( !stat?.isFile() ) {
+			res.statusCode = 404;
+			res.end( );
+			return;
+		}
+	}
 
-			const srv = createServer();
-			srv.addListener("request", (req, res) => {
+	await sendFile( req, res, fname, stat, cfg );
+}
 
-				// We can't return a promise in a HTTP request handler, so we run our code
-				// inside an async function instead.
-				const run = async () => {
+/**
+ * send a file with conditional requests (ETag/Last-Modified), ranges and compression
+ */
+
+async function sendFile( req, res, fname, stat, cfg ) {
+
+	const type = MIME_TYPES[path.extname(fname).toLowerCase()] ?? 'application/octet-stream';
+	const injected = cfg.inject && type.startsWith("text/html");
+	const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}${injected ? "-hmr" : ""}"`;
+
+	const headers = {
+		'Content-Type': type,
+		'ETag': etag,
+		'Last-Modified': stat.mtime.toUTCString(),
+		'Cache-Control': cfg.cacheControl ?? 'no-cache',
+		'Accept-Ranges': 'bytes',
+	};
+
+	const compressible = cfg.compress && isCompressible( type );
+	if( compressible ) {
+		headers['Vary'] = 'Accept-Encoding';
+	}
 
-					// Log the request.
-					const requestTime = new Date();
-					const formattedTime = `${requestTime.toLocaleDateString()} ${requestTime.toLocaleTimeString()}`;
-					const ipAddress = req.socket.remoteAddress?.replace('::ffff:', '') ?? 'unknown';
-					const requestUrl = `${req.method ?? 'GET'} ${req.url ?? '/'}`;
+	// -- not modified ---------------------------------------------
 
-					log(colors.dim(formattedTime), colors.yellow(ipAddress), colors.cyan(requestUrl));
+	if( isFresh(req, etag, stat.mtime) ) {
+		delete headers['Content-Type'];
+		res.writeHead( 304, headers );
+		res.end( );
+		return;
+	}
 
-					//response.setHeader('Access-Control-Allow-Origin', '*');
+	const send = ( status, stream ) => {
+		res.writeHead( status, headers );
+		if( req.method=="HEAD" ) {
+			stream?.destroy( );
+			res.end( );
+			return;
+		}
 
-					const url = new URL(req.url, "file://");
-					let relativePath = decodeURIComponent(url.pathname);
+		pipeline( stream, res, ( ) => {} );
+	}
 
-					if (relativePath == "/") {
-						relativePath = "/index.html";
-					}
+	// -- modified pages -------------------------------------------
 
-					const aliases = pkg.x4build?.alias;
-					if( aliases ) {
-						for( const map in aliases ) {
-							if( relativePath.startsWith(map) ) {
-								relativePath = aliases[map]+relativePath.substring( map.length );
-								break;
-							}
-						}
-					}
+	if( injected ) {
+		const page = Buffer.from( injectHtml( await fs.promises.readFile(fname, "utf-8"), cfg.inject ) );
 
-					const absolutePath = path.join(outdir, relativePath);
+		delete headers['Accept-Ranges'];
+		headers['Content-Length'] = page.length;
+		res.writeHead( 200, headers );
+		res.end( req.method=="HEAD" ? undefined : page );
+		return;
+	}
 
-					try {
-						const stat = fs.statSync(absolutePath);
-						if (stat.isFile()) {
-
-							const mimes = {
-								'.htm': 'text/html',
-								'.html': 'text/html',
-								'.css': 'text/css',
-								'.png': 'image/png',
-								'.jpg': 'image/jpeg',
-								'.jpeg': 'image/jpeg',
-								'.gif': 'image/gif',
-								'.webp': 'image/webp',
-								'.js': 'application/javascript',
-								'.json': 'application/json',
-							};
-
-
-							const ext = path.extname(absolutePath);
-
-							let headers = {
-								'Content-Length': stat.size,
-							};
-
-							if (mimes[ext]) {
-								headers['Content-Type'] = mimes[ext];
-							}
+	// -- ranges (media) -------------------------------------------
 
-							res.writeHead(200, headers);
+	const range = req.headers.range;
+	const ifRange = req.headers['if-range'];
 
-							const stream = fs.createReadStream(absolutePath);
-							stream.pipe(res);
-						}
-						else {
-							throw "Invalid path";
-						}
-					}
-					catch (e) {
-						res.statusCode = 404;
-						res.end();
-					}
+	if( range && (!ifRange || ifRange==etag || ifRange==headers['Last-Modified']) ) {
+		const r = parseRange( range, stat.size );
+		if( r===false ) {
+			res.writeHead( 416, { 'Content-Range': `bytes */${stat.size}` } );
+			res.end( );
+			return;
+		}
+
+		// multiple ranges are not supported: send the whole file
+		if( r ) {
+			headers['Content-Range'] = `bytes ${r.start}-${r.end}/${stat.size}`;
+			headers['Content-Length'] = r.end-r.start+1;
+			send( 206, fs.createReadStream(fname, r) );
+			return;
+		}
+	}
 
+	// -- compression ----------------------------------------------
 
-					// Before returning the response, log the status code and time taken.
-					const responseTime = Date.now() - requestTime.getTime();
-					log(colors.dim(formattedTime), colors.yellow(ipAddress), colors[res.statusCode == 200 ? "green" : "red"](`Returned ${res.statusCode} in ${responseTime} ms`));
-				}
+	const encoding = (compressible && stat.size>1024) ? negotiateEncoding( req.headers['accept-encoding'] ) : null;
 
-				// Then we run the async function, and re-throw any errors.
-				run().catch((error) => {
-					throw error;
-				});
-			});
+	if( encoding ) {
+		headers['Content-Encoding'] = encoding;
+
+		// precompressed file next to the original one ?
+		const precomp = fname+(encoding=="br" ? ".br" : ".gz");
+		const pstat = await fs.promises.stat( precomp ).catch( ( ) => null );
 
-			log(colors.green( colors.symbols.starsOn)+colors.white(` server listening on http://${host}:${port}`));
+		if( pstat?.isFile() && pstat.mtimeMs>=stat.mtimeMs ) {
+			headers['Content-Length'] = pstat.size;
+			send( 200, fs.createReadStream(precomp) );
 		}
+		else {
+			const compressor = encoding=="br"
+				? zlib.createBrotliCompress( { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } } )
+				: zlib.createGzip( );
 
-		if( watch ) {
-			const watch_path = path.dirname( pkg.main );
+			res.writeHead( 200, headers );
+			if( req.method=="HEAD" ) {
+				res.end( );
+			}
+			else {
+				pipeline( fs.createReadStream(fname), compressor, res, ( ) => {} );
+			}
+		}
 
-			const watcher = chokidar.watch( [watch_path], {
-				ignored: [
-					/.*\.map$/ 
-				]
-			});
+		return;
+	}
 
-			let isReady = false;
-			let tmRebuild = new Timer( );
+	headers['Content-Length'] = stat.size;
+	send( 200, fs.createReadStream(fname) );
+}
 
-			function handleChange(changePath) {
+function isCompressible( type ) {
+	return /^text\/|json|javascript|xml|svg|wasm|vnd\.ms-fontobject|font\/(ttf|otf)/.test( type );
+}
 
-				if (!isReady) {
-					return;
-				}
+/**
+ * check the conditional request headers
+ * @returns true if the client copy is still valid
+ */
+
+function isFresh( req, etag, mtime ) {
+	const inm = req.headers['if-none-match'];
+	if( inm ) {
+		const weak = ( x ) => x.trim().replace( /^W\//, "" );
+		return inm.trim()=="*" || inm.split(",").some( x => weak(x)==weak(etag) );
+	}
 
-				tmRebuild.start( ( ) => {
-					ctx.rebuild( ).catch( ( ) => {} );	// error is displayed by the plugin
-				}, 1000 );
-			}
+	const ims = req.headers['if-modified-since'];
+	if( ims ) {
+		const since = Date.parse( ims );
+		return !isNaN(since) && Math.floor(mtime.getTime()/1000)*1000<=since;
+	}
 
-			watcher
-				.on("change", handleChange)
-				.on("add", handleChange)
-				.on("unlink", handleChange)
-				.on("addDir", handleChange)
-				.on("unlinkDir", handleChange)
-				.on("ready", function () {
-					isReady = true;
-				})
-				.on("error", function (err) {
-					log("ERROR:", err);
-				});
+	return false;
+}
+
+/**
+ * parse a "bytes=start-end" Range header
+ * @returns { start, end }, null if not handled (ignored) or false if not satisfiable
+ */
+
+function parseRange( header, size ) {
+	const m = /^bytes=(\d*)-(\d*)$/.exec( header.trim() );
+	if( !m ) {
+		return null;
+	}
+
+	let start, end;
 
-				log(colors.green( colors.symbols.starsOn)+colors.white(` watching for modifications on ${path.resolve(watch_path)}` ) );
+	if( m[1]==="" ) {
+		// suffix: last n bytes
+		if( m[2]==="" ) {
+			return null;
 		}
+
+		start = Math.max( size-parseInt(m[2]), 0 );
+		end = size-1;
+	}
+	else {
+		start = parseInt( m[1] );
+		end = m[2]==="" ? size-1 : Math.min( parseInt(m[2]), size-1 );
 	}
 
-	log(colors.cyan.bold("\n:::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::::\n"));
+	if( start>end || start>=size ) {
+		return false;
+	}
 
-	ctx.rebuild( ).catch( ( ) => {} );	// error is displayed by the plugin
+	return { start, end };
 }
 
+/**
+ * choose the best encoding accepted by the client
+ */
+
+function negotiateEncoding( accept ) {
+	if( !accept ) {
+		return null;
+	}
+
+	const accepted = {};
+	for( const part of accept.split(",") ) {
+		const [name, ...params] = part.trim().split( ";" );
+		const q = params.map( p => p.trim() ).find( p => p.startsWith("q=") );
+		accepted[name.toLowerCase()] = q ? parseFloat( q.substring(2) ) : 1;
+	}
+
+	for( const enc of ["br", "gzip"] ) {
+		const q = accepted[enc] ?? accepted["*"] ?? 0;
+		if( q>0 ) {
+			return enc;
+		}
+	}
+
+	return null;
+}